@@ -0,0 +1,244 @@
+// Admin dashboard for contact form inquiries
+document.addEventListener('DOMContentLoaded', function() {
+    initAdminDashboard();
+});
+
+const TOKEN_KEY = 'portfolioAdminToken';
+
+
+function initAdminDashboard() {
+    const loginForm = document.getElementById('admin-login');
+    const filterForm = document.getElementById('admin-filters');
+    const results = document.getElementById('admin-results');
+    const statusLine = document.getElementById('admin-status');
+    const list = document.getElementById('admin-inquiries');
+    const logoutButton = document.getElementById('admin-logout');
+    const schema = window.ContactFormSchema;
+
+    // Budget filter options come from the contact form schema
+    filterForm.querySelectorAll('select[name="minBudget"], select[name="maxBudget"]').forEach(select => {
+        schema.getField('budget').options.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.value;
+            optionElement.textContent = option.label;
+            select.appendChild(optionElement);
+        });
+    });
+
+    // Injected by the build, or worked out from this page's host (public-config.js)
+    const API_BASE = window.PublicConfig.read().apiBase;
+
+    const getToken = () => sessionStorage.getItem(TOKEN_KEY);
+
+    const showDashboard = (signedIn) => {
+        loginForm.hidden = signedIn;
+        filterForm.hidden = !signedIn;
+        results.hidden = !signedIn;
+        logoutButton.hidden = !signedIn;
+    };
+
+    const setStatus = (text, isError) => {
+        statusLine.textContent = text;
+        statusLine.classList.toggle('error', !!isError);
+    };
+
+    async function apiRequest(path, options = {}) {
+        const response = await fetch(`${API_BASE}/api/admin${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getToken()}`
+            }
+        });
+        const result = await response.json();
+
+        if (response.status === 401) {
+            sessionStorage.removeItem(TOKEN_KEY);
+            showDashboard(false);
+        }
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        return result;
+    }
+
+    function buildQuery() {
+        const formData = new FormData(filterForm);
+        const params = new URLSearchParams();
+
+        for (const [key, value] of formData.entries()) {
+            if (!value) continue;
+            // Make the "to" date inclusive of the whole day
+            params.set(key, key === 'to' ? `${value}T23:59:59.999` : value);
+        }
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    async function loadInquiries() {
+        setStatus('Loading inquiries...');
+        list.innerHTML = '';
+
+        try {
+            const result = await apiRequest(`/inquiries${buildQuery()}`);
+            setStatus(`${result.count} ${result.count === 1 ? 'inquiry' : 'inquiries'}`);
+            result.inquiries.forEach(inquiry => list.appendChild(renderInquiry(inquiry)));
+        } catch (error) {
+            setStatus(error.message || 'Unable to load inquiries.', true);
+        }
+    }
+
+    // Attachment downloads need the bearer token, so fetch the file and hand the browser a blob URL
+    async function downloadAttachment(inquiry, attachment) {
+        try {
+            const response = await fetch(`${API_BASE}/api/admin/inquiries/${inquiry.id}/attachments/${attachment.id}`, {
+                headers: { 'Authorization': `Bearer ${getToken()}` }
+            });
+            if (!response.ok) {
+                throw new Error((await response.json()).message);
+            }
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.fileName;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            setStatus(error.message || 'Download failed.', true);
+        }
+    }
+
+    async function runAction(path, options) {
+        try {
+            await apiRequest(path, options);
+            await loadInquiries();
+        } catch (error) {
+            setStatus(error.message || 'Action failed.', true);
+        }
+    }
+
+    function renderInquiry(inquiry) {
+        const status = inquiry.status || 'new';
+        const item = document.createElement('article');
+        item.className = 'inquiry';
+
+        const meta = document.createElement('div');
+        meta.className = 'inquiry-meta';
+
+        const name = document.createElement('span');
+        name.className = 'inquiry-name';
+        name.textContent = inquiry.name;
+
+        const badge = document.createElement('span');
+        badge.className = `inquiry-badge ${status}`;
+        badge.textContent = status;
+
+        const email = document.createElement('a');
+        email.href = `mailto:${inquiry.email}`;
+        email.textContent = inquiry.email;
+
+        const details = document.createElement('span');
+        const budget = inquiry.budget ? schema.getOptionLabel('budget', inquiry.budget) : 'Budget TBD';
+        details.textContent = `${budget} • ${new Date(inquiry.createdAt).toLocaleString()}`;
+
+        meta.append(name, badge, email, details);
+
+        if (inquiry.booking) {
+            const call = document.createElement('span');
+            call.className = 'inquiry-call';
+            call.textContent = `📅 Call ${new Date(inquiry.booking.start).toLocaleString([], {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            })}`;
+            meta.appendChild(call);
+        }
+
+        const message = document.createElement('p');
+        message.className = 'inquiry-message';
+        message.textContent = inquiry.message;
+
+        let spam = null;
+        if (inquiry.spam && inquiry.spam.reasons.length) {
+            spam = document.createElement('p');
+            spam.className = 'inquiry-spam';
+            spam.textContent = `Spam score ${inquiry.spam.score}: ${inquiry.spam.reasons.join('; ')}`;
+        }
+
+        let attachments = null;
+        if (inquiry.attachments && inquiry.attachments.length) {
+            attachments = document.createElement('div');
+            attachments.className = 'inquiry-attachments';
+            inquiry.attachments.forEach(attachment => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'attachment-link';
+                button.textContent = `📎 ${attachment.fileName} (${schema.formatFileSize(attachment.size)})`;
+                button.addEventListener('click', () => downloadAttachment(inquiry, attachment));
+                attachments.appendChild(button);
+            });
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'inquiry-actions';
+
+        const addAction = (label, className, handler) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `admin-button ${className}`;
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+
+        const setInquiryStatus = (newStatus) => runAction(`/inquiries/${inquiry.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status: newStatus })
+        });
+
+        if (status !== 'replied') {
+            addAction('Mark replied', '', () => setInquiryStatus('replied'));
+        }
+        if (status !== 'archived') {
+            addAction('Archive', 'secondary', () => setInquiryStatus('archived'));
+        } else {
+            addAction('Restore', 'secondary', () => setInquiryStatus('new'));
+        }
+        addAction('Delete', 'danger', () => {
+            if (confirm(`Delete the inquiry from ${inquiry.name}? This cannot be undone.`)) {
+                runAction(`/inquiries/${inquiry.id}`, { method: 'DELETE' });
+            }
+        });
+
+        item.append(...[meta, spam, message, attachments, actions].filter(Boolean));
+        return item;
+    }
+
+    loginForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sessionStorage.setItem(TOKEN_KEY, new FormData(loginForm).get('token'));
+        loginForm.reset();
+        showDashboard(true);
+        loadInquiries();
+    });
+
+    filterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadInquiries();
+    });
+
+    logoutButton.addEventListener('click', () => {
+        sessionStorage.removeItem(TOKEN_KEY);
+        list.innerHTML = '';
+        showDashboard(false);
+    });
+
+    if (getToken()) {
+        showDashboard(true);
+        loadInquiries();
+    }
+}
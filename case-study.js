@@ -0,0 +1,105 @@
+// Case Study Pages
+// Renders a project's case study (problem, approach, stack, screenshots,
+// outcomes) from content/projects.json. Shared by the browser (script.js shows
+// it at /work/<slug>) and the build (deploy.js pre-renders build/work/<slug>/).
+// Headings and buttons are caseStudy.* in the i18n.js catalogs; the build
+// pre-renders in English and the page re-renders in the visitor's language.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./i18n'));
+    } else {
+        root.PortfolioCaseStudy = factory(root.SiteI18n);
+    }
+})(typeof self !== 'undefined' ? self : this, function (i18n) {
+    const english = i18n.createTranslator(i18n.DEFAULT_LOCALE);
+
+    const PATH_PATTERN = /^\/work\/([a-z0-9]+(?:-[a-z0-9]+)*)\/?$/;
+
+    const escapeHtml = (value) => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+    const pathFor = (slug) => `/work/${slug}`;
+
+    // "/work/farmer-portal" -> "farmer-portal", anything else -> null
+    const matchPath = (pathname) => {
+        const match = PATH_PATTERN.exec(pathname);
+        return match ? match[1] : null;
+    };
+
+    const pageTitle = (project, translate = english) => translate('caseStudy.pageTitle', { title: project.title });
+
+    const renderList = (items, className) => `
+        <ul class="${className}">
+            ${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+        </ul>
+    `;
+
+    const renderScreenshots = (project) => {
+        if (!project.caseStudy.screenshots.length) {
+            // No screenshots yet - reuse the card artwork
+            return `
+                <div class="placeholder-img ${escapeHtml(project.theme)}-demo case-study-hero">
+                    <i class="${escapeHtml(project.icon)}"></i>
+                    <span>${escapeHtml(project.cardLabel)}</span>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="case-study-gallery">
+                ${project.caseStudy.screenshots.map(shot => `
+                    <figure>
+                        <img src="${escapeHtml(shot.src)}" alt="${escapeHtml(shot.alt)}" loading="lazy">
+                        ${shot.caption ? `<figcaption>${escapeHtml(shot.caption)}</figcaption>` : ''}
+                    </figure>
+                `).join('')}
+            </div>
+        `;
+    };
+
+    // Inner HTML of the #case-study section, with translate (an i18n.js
+    // translator) for the page's own copy
+    const render = (project, categories = [], translate = english) => {
+        const study = project.caseStudy;
+        const category = categories.find(item => item.id === project.category);
+        const text = (key) => escapeHtml(translate(key));
+        const links = [
+            project.links.live && `<a href="${escapeHtml(project.links.live)}" class="btn-primary" target="_blank" rel="noopener"><span>${text('caseStudy.viewLive')}</span><i class="fas fa-external-link-alt"></i></a>`,
+            project.links.source && `<a href="${escapeHtml(project.links.source)}" class="btn-secondary" target="_blank" rel="noopener"><span>${text('caseStudy.source')}</span><i class="fab fa-github"></i></a>`
+        ].filter(Boolean);
+
+        return `
+            <div class="container">
+                <a href="/#portfolio" class="case-study-back" data-case-study-back><i class="fas fa-arrow-left"></i> ${text('caseStudy.back')}</a>
+                <header class="case-study-header">
+                    ${category ? `<span class="case-study-category">${escapeHtml(category.label)}</span>` : ''}
+                    <h1 class="section-title">${escapeHtml(project.title)}</h1>
+                    <p class="section-subtitle">${escapeHtml(project.summary)}</p>
+                    ${links.length ? `<div class="case-study-links">${links.join('')}</div>` : ''}
+                </header>
+                ${renderScreenshots(project)}
+                <div class="case-study-body">
+                    <div class="case-study-main">
+                        <h2>${text('caseStudy.problem')}</h2>
+                        <p>${escapeHtml(study.problem)}</p>
+                        <h2>${text('caseStudy.approach')}</h2>
+                        ${study.approach.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')}
+                        <h2>${text('caseStudy.outcomes')}</h2>
+                        ${renderList(study.outcomes, 'case-study-outcomes')}
+                    </div>
+                    <aside class="case-study-aside">
+                        <h3>${text('caseStudy.stack')}</h3>
+                        ${renderList(study.stack, 'case-study-stack')}
+                        <a href="/#contact" class="btn-primary"><span>${text('caseStudy.startSimilar')}</span><i class="fas fa-arrow-right"></i></a>
+                    </aside>
+                </div>
+            </div>
+        `;
+    };
+
+    return { render, pathFor, matchPath, pageTitle, escapeHtml };
+});
@@ -8,6 +8,8 @@
 const fs = require('fs');
 const path = require('path');
 
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
 console.log('🚀 Portfolio Deployment Helper');
 console.log('================================\n');
 
@@ -17,28 +19,35 @@ const isProduction = process.argv.includes('--production');
 if (isProduction) {
     console.log('📦 Preparing for PRODUCTION deployment...\n');
     
-    // Create production build directory
-    const buildDir = 'build';
-    if (!fs.existsSync(buildDir)) {
-        fs.mkdirSync(buildDir);
-    }
-    
-    // Copy frontend files
-    const frontendFiles = [
-        'index.html',
-        'styles.css', 
-        'script.js',
-        'netlify.toml'
-    ];
-    
-    frontendFiles.forEach(file => {
-        if (fs.existsSync(file)) {
-            fs.copyFileSync(file, path.join(buildDir, file));
-            console.log(`✅ Copied ${file} to build directory`);
-        } else {
-            console.log(`⚠️  ${file} not found`);
+    const { buildSite } = require('./lib/build');
+    const { loadEnvironments, resolveBuildTarget, publicConfigFor } = require('./lib/environments');
+
+    // --target=local|preview|production (defaults to production, or Netlify's build context).
+    // --same-origin builds for the API server to serve itself (SERVE_FRONTEND=true).
+    let publicConfig;
+    try {
+        publicConfig = publicConfigFor(loadEnvironments(), resolveBuildTarget());
+        if (process.argv.includes('--same-origin')) {
+            publicConfig = { ...publicConfig, apiBase: '' };
         }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    console.log(`🎯 Target: ${publicConfig.environment}`);
+    console.log(`   Site: ${publicConfig.siteUrl}`);
+    console.log(`   API:  ${publicConfig.apiBase === null ? 'this host, port 3000' : publicConfig.apiBase || 'same origin'}\n`);
+
+    const { outDir, assets, pages } = buildSite({ publicConfig });
+
+    console.log('📊 Size report (minified, then gzipped):\n');
+    assets.concat(pages).forEach(entry => {
+        const name = entry.output ? `${entry.file} → ${entry.output}` : entry.file;
+        console.log(`   ${name.padEnd(46)} ${formatSize(entry.sourceBytes).padStart(9)} → ${formatSize(entry.outputBytes).padStart(9)}   gzip ${formatSize(entry.gzipBytes).padStart(9)}`);
     });
+    const total = (entries, key) => entries.reduce((sum, entry) => sum + entry[key], 0);
+    console.log(`\n   JS + CSS: ${formatSize(total(assets, 'sourceBytes'))} → ${formatSize(total(assets, 'outputBytes'))} (gzip ${formatSize(total(assets, 'gzipBytes'))})`);
+    console.log(`\n✅ Built ${assets.length} assets and ${pages.length} pages into ${path.relative(process.cwd(), outDir)}/`);
     
     console.log('\n📋 Next Steps:');
     console.log('1. Deploy backend to Railway:');
@@ -50,7 +59,7 @@ if (isProduction) {
     console.log('   - Drag the build/ folder to netlify.com');
     console.log('   - Or connect GitHub repository');
     console.log('');
-    console.log('3. Update API URLs in script.js with actual Railway URL');
+    console.log('3. API URLs and CORS origins per environment live in config/environments.json');
     console.log('');
     console.log('🎉 Your portfolio will be live!');
     
@@ -62,7 +71,16 @@ if (isProduction) {
         'index.html',
         'styles.css',
         'script.js', 
+        'public-config.js',
+        'i18n.js',
+        'form-schema.js',
+        'case-study.js',
+        'outbox.js',
+        'sw.js',
         'server.js',
+        'config/availability.json',
+        'config/environments.json',
+        'content/projects.json',
         'package.json',
         '.env'
     ];
@@ -96,6 +114,8 @@ if (isProduction) {
         console.log('1. Run: npm start (for backend)');
         console.log('2. Run: python -m http.server 8000 (for frontend)');
         console.log('3. Test locally at http://localhost:8000');
+        console.log('   Or as one process: npm run build:server, then SERVE_FRONTEND=true npm start');
+        console.log('   and open http://localhost:3000');
         console.log('');
         console.log('🚀 Ready to deploy? Run: node deploy.js --production');
     } else {
@@ -105,9 +125,8 @@ if (isProduction) {
 
 console.log('');
 console.log('📧 Email Setup Checklist:');
-console.log('□ Gmail App Password configured in .env');
+console.log('□ MAIL_TRANSPORT configured in .env (SENDGRID_EMAIL_KEY or SMTP_* settings)');
 console.log('□ Environment variables set on Railway');
-console.log('□ CORS origins updated with production URLs');
-console.log('□ API endpoint updated in script.js');
+console.log('□ Site origins and API URLs updated in config/environments.json');
 console.log('');
 console.log('💡 Need help? Check DEPLOYMENT_GUIDE.md');
@@ -0,0 +1,189 @@
+// Contact Form Schema
+// Single definition of the contact form, shared by the browser (script.js renders
+// and validates the form from it) and the API (server.js validates submissions).
+// To add a field, add an entry to `fields` and its label to the catalogs in
+// i18n.js - nothing else needs to change.
+(function (root, factory) {
+    const schema = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = schema;
+    } else {
+        root.ContactFormSchema = schema;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    // type: text | email | select | textarea
+    // summaryLabel is used in the notification email and admin views
+    const fields = [
+        {
+            name: 'name',
+            type: 'text',
+            label: 'Your Name',
+            summaryLabel: 'Name',
+            required: true,
+            minLength: 2,
+            maxLength: 100,
+            autocomplete: 'name'
+        },
+        {
+            name: 'email',
+            type: 'email',
+            label: 'Email Address',
+            summaryLabel: 'Email',
+            required: true,
+            maxLength: 254,
+            autocomplete: 'email'
+        },
+        {
+            name: 'budget',
+            type: 'select',
+            label: 'Project Budget (USD)',
+            summaryLabel: 'Budget Range',
+            required: true,
+            placeholder: 'Select Budget Range',
+            options: [
+                { value: 'under-5k', label: 'Under $5,000' },
+                { value: '5k-10k', label: '$5,000 - $10,000' },
+                { value: '10k-25k', label: '$10,000 - $25,000' },
+                { value: '25k-plus', label: '$25,000+' }
+            ]
+        },
+        {
+            name: 'message',
+            type: 'textarea',
+            label: 'Tell me about your project',
+            summaryLabel: 'Project Details',
+            required: true,
+            minLength: 10,
+            maxLength: 5000,
+            rows: 5
+        }
+    ];
+
+    // Optional files sent with an inquiry (brief, RFP, wireframes)
+    const attachments = {
+        name: 'attachments',
+        label: 'Attachments',
+        maxFiles: 3,
+        maxFileSizeBytes: 10 * 1024 * 1024,
+        types: [
+            { extension: '.pdf', mimeTypes: ['application/pdf'] },
+            { extension: '.doc', mimeTypes: ['application/msword'] },
+            { extension: '.docx', mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+            { extension: '.txt', mimeTypes: ['text/plain'] },
+            { extension: '.png', mimeTypes: ['image/png'] },
+            { extension: '.jpg', mimeTypes: ['image/jpeg'] },
+            { extension: '.jpeg', mimeTypes: ['image/jpeg'] },
+            { extension: '.zip', mimeTypes: ['application/zip', 'application/x-zip-compressed'] }
+        ]
+    };
+
+    // Validation messages by their i18n.js catalog key. The validators take an
+    // optional translate(key, params) for the visitor's language; without one
+    // they use the English here (the same text as the English catalog).
+    const MESSAGES = {
+        'validation.notText': 'Please enter text for this field.',
+        'validation.required': '{label} is required.',
+        'validation.email': 'Please enter a valid email address.',
+        'validation.option': 'Please choose one of the listed options.',
+        'validation.minLength': 'Please enter at least {count} characters.',
+        'validation.maxLength': 'Please keep this under {count} characters.',
+        'validation.fileType': '{file} isn\'t a supported file type ({types}).',
+        'validation.fileSize': '{file} is larger than {size}.'
+    };
+    fields.forEach(field => {
+        MESSAGES[`form.fields.${field.name}.label`] = field.label;
+    });
+
+    const english = (key, params = {}) => MESSAGES[key].replace(/\{(\w+)\}/g, (match, name) => String(params[name]));
+
+    const getField = (name) => fields.find(field => field.name === name) || null;
+
+    // Display label for a select value, or the value itself
+    const getOptionLabel = (fieldName, value) => {
+        const field = getField(fieldName);
+        const option = field && field.options ? field.options.find(item => item.value === value) : null;
+        return option ? option.label : value;
+    };
+
+    const validateField = (field, rawValue, translate = english) => {
+        if (rawValue !== undefined && rawValue !== null && typeof rawValue !== 'string') {
+            return { value: null, error: translate('validation.notText') };
+        }
+
+        const value = (rawValue || '').trim();
+
+        if (!value) {
+            return field.required
+                ? { value: null, error: translate('validation.required', { label: translate(`form.fields.${field.name}.label`) }) }
+                : { value: null, error: null };
+        }
+        if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+            return { value, error: translate('validation.email') };
+        }
+        if (field.options && !field.options.some(option => option.value === value)) {
+            return { value, error: translate('validation.option') };
+        }
+        if (field.minLength && value.length < field.minLength) {
+            return { value, error: translate('validation.minLength', { count: field.minLength }) };
+        }
+        if (field.maxLength && value.length > field.maxLength) {
+            return { value, error: translate('validation.maxLength', { count: field.maxLength }) };
+        }
+
+        return { value, error: null };
+    };
+
+    const formatFileSize = (bytes) => {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    };
+
+    // Check one file ({ name, size, type }) against the attachment rules
+    const validateAttachment = (file, translate = english) => {
+        const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+        const allowed = attachments.types.find(type => type.extension === extension);
+
+        // Browsers report some types inconsistently, so a blank or generic type is accepted on extension alone
+        const typeMatches = !file.type || file.type === 'application/octet-stream' || (allowed && allowed.mimeTypes.includes(file.type));
+
+        if (!allowed || !typeMatches) {
+            const extensions = attachments.types.map(type => type.extension.slice(1).toUpperCase());
+            return translate('validation.fileType', { file: file.name, types: extensions.join(', ') });
+        }
+        if (file.size > attachments.maxFileSizeBytes) {
+            return translate('validation.fileSize', { file: file.name, size: formatFileSize(attachments.maxFileSizeBytes) });
+        }
+        return null;
+    };
+
+    // Validate a submission: { values, errors } where errors maps field name -> message
+    const validate = (input, translate = english) => {
+        const values = {};
+        const errors = {};
+
+        fields.forEach(field => {
+            const result = validateField(field, input ? input[field.name] : undefined, translate);
+            values[field.name] = result.value;
+            if (result.error) {
+                errors[field.name] = result.error;
+            }
+        });
+
+        return { values, errors, valid: Object.keys(errors).length === 0 };
+    };
+
+    return {
+        fields,
+        attachments,
+        messages: MESSAGES,
+        getField,
+        getOptionLabel,
+        validateField,
+        validate,
+        validateAttachment,
+        formatFileSize
+    };
+});
@@ -0,0 +1,802 @@
+// Site Locales
+// The languages the site and its emails come in, with one message catalog
+// each. Shared by the page (script.js translates the markup, form and status
+// messages) and the server (API replies, validation errors and the client's
+// auto-reply). English is the fallback for anything a catalog is missing.
+(function (root, factory) {
+    const i18n = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = i18n;
+    } else {
+        root.SiteI18n = i18n;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_LOCALE = 'en';
+
+    // Offered in the navbar switcher, each under its own name
+    const LOCALES = [
+        { code: 'en', name: 'English' },
+        { code: 'es', name: 'Español' },
+        { code: 'fr', name: 'Français' }
+    ];
+
+    // Messages may use {name} placeholders. Keys read as paths, e.g.
+    // "form.fields.budget.options.under-5k". *Html keys hold trusted markup.
+    const catalogs = {
+        en: {
+            meta: {
+                title: 'Abhishek Goel - Freelance Web Developer | USA & Canada'
+            },
+            nav: {
+                home: 'Home',
+                about: 'About',
+                experience: 'Experience',
+                services: 'Services',
+                projects: 'Projects',
+                contact: 'Contact',
+                language: 'Language'
+            },
+            hero: {
+                greeting: 'Hey, I\'m',
+                role: 'Senior Software Engineer & Freelance Developer',
+                subtitleHtml: '<strong>3+ years at Fynd (Reliance)</strong> building scalable e-commerce solutions. Now crafting stunning websites for businesses across <span class="highlight">USA &amp; Canada</span>. Let\'s bring your digital vision to life! 🚀',
+                viewWork: 'View My Work',
+                talk: 'Let\'s Talk',
+                scroll: 'Scroll to explore'
+            },
+            about: {
+                title: 'About Me',
+                subtitle: 'Passionate developer with a knack for creating exceptional digital experiences',
+                currentRole: 'Current Role',
+                currentRoleHtml: 'Software Engineer at <strong>Fynd (Shopsense Retail Technologies - Reliance)</strong> since June 2022. Building large-scale e-commerce solutions that serve millions of users daily.',
+                freelance: 'Freelance Journey',
+                freelanceHtml: 'Leveraging 3+ years of professional experience to help businesses in <strong>USA &amp; Canada</strong> establish their digital presence with scalable, modern websites.',
+                education: 'Education',
+                educationHtml: '<strong>BTech Computer Science</strong> from Maharaja Agrasen Institute Of Technology, Delhi (2017-2021). Strong foundation in algorithms, data structures, and software engineering.',
+                skills: {
+                    fast: 'Fast Loading',
+                    mobile: 'Mobile First',
+                    design: 'Modern Design',
+                    code: 'Clean Code'
+                },
+                stats: {
+                    years: 'Years at Fynd/Reliance',
+                    total: 'Total Experience',
+                    users: 'Million+ Users Served'
+                }
+            },
+            experience: {
+                title: 'Professional Journey',
+                subtitle: 'From internships to senior engineer - a proven track record of growth and excellence',
+                role: 'Software Engineer',
+                fynd: {
+                    duration: 'Jun 2022 - Present • 3+ years',
+                    location: 'Noida',
+                    body: 'Building and scaling e-commerce solutions that serve millions of users. Working with cutting-edge technologies to deliver high-performance web applications for India\'s largest retail ecosystem.',
+                    tags: {
+                        ecommerce: 'E-commerce Platform',
+                        users: 'Million+ Users',
+                        scale: 'Scalable Solutions'
+                    }
+                },
+                pepcoding: {
+                    duration: 'Aug 2021 - Jun 2022 • 11 months',
+                    location: 'Hybrid',
+                    body: 'Developed educational technology solutions and mentored aspiring developers. Enhanced platform performance and user experience.',
+                    tags: {
+                        edtech: 'EdTech',
+                        mentoring: 'Mentoring',
+                        platform: 'Platform Development'
+                    }
+                }
+            },
+            services: {
+                title: 'Services',
+                subtitle: 'Comprehensive web development solutions tailored for your business needs',
+                popular: 'Most Popular',
+                responsive: {
+                    title: 'Responsive Websites',
+                    body: 'Beautiful, mobile-first websites that look perfect on all devices and drive conversions.',
+                    mobile: 'Mobile-first design',
+                    browsers: 'Cross-browser compatibility',
+                    seo: 'SEO optimized'
+                },
+                ecommerce: {
+                    title: 'E-commerce Solutions',
+                    body: 'Complete online stores with payment integration, inventory management, and admin dashboards.',
+                    payments: 'Payment gateway integration',
+                    inventory: 'Inventory management',
+                    analytics: 'Analytics dashboard'
+                },
+                performance: {
+                    title: 'Performance Optimization',
+                    body: 'Speed up your existing website with modern optimization techniques and best practices.',
+                    vitals: 'Core Web Vitals optimization',
+                    images: 'Image optimization',
+                    caching: 'Caching strategies'
+                }
+            },
+            portfolio: {
+                title: 'Featured Work',
+                subtitle: 'A showcase of recent projects that drove real business results',
+                filterLabel: 'Filter projects',
+                all: 'All Projects',
+                loadError: 'Projects couldn\'t be loaded right now. Please refresh the page to try again.',
+                empty: 'No projects match those filters.',
+                search: 'Search projects...',
+                searchLabel: 'Search projects',
+                matchLabel: 'How selected tags are combined',
+                matchAny: 'Any selected tag',
+                matchAll: 'All selected tags',
+                sortLabel: 'Sort projects',
+                sorts: {
+                    featured: 'Featured first',
+                    title: 'Title (A-Z)',
+                    'title-desc': 'Title (Z-A)'
+                },
+                tagsLabel: 'Filter by technology',
+                countFiltered: 'Showing {shown} of {total} projects',
+                countAll: 'Showing all {shown} projects',
+                clear: 'Clear filters',
+                readCaseStudy: 'Read case study',
+                viewLive: 'View {title} live',
+                viewSource: 'View {title} source'
+            },
+            caseStudy: {
+                pageTitle: '{title} - Case Study | Abhishek Goel',
+                back: 'All projects',
+                viewLive: 'View Live',
+                source: 'Source Code',
+                problem: 'The Problem',
+                approach: 'The Approach',
+                outcomes: 'Outcomes',
+                stack: 'Tech Stack',
+                startSimilar: 'Start a Similar Project'
+            },
+            contact: {
+                title: 'Let\'s Work Together',
+                subtitle: 'Ready to bring your digital vision to life? Let\'s discuss your project!',
+                location: 'Location',
+                locationHtml: 'Serving clients across<br>USA &amp; Canada',
+                email: 'Email',
+                response: 'Response Time',
+                responseHtml: 'Within 24 hours<br>(Usually much faster!)',
+                send: 'Send Message'
+            },
+            footer: {
+                tagline: 'Crafting exceptional web experiences for businesses across North America.',
+                services: 'Services',
+                webDevelopment: 'Web Development',
+                ecommerce: 'E-commerce',
+                optimization: 'Optimization',
+                maintenance: 'Maintenance',
+                quickLinks: 'Quick Links',
+                about: 'About',
+                experience: 'Experience',
+                projects: 'Projects',
+                quote: 'Get Quote',
+                rights: '© 2024 Abhishek Goel. All rights reserved.',
+                madeWith: 'Made with ❤️ for businesses in USA & Canada'
+            },
+            form: {
+                fields: {
+                    name: { label: 'Your Name' },
+                    email: { label: 'Email Address' },
+                    budget: {
+                        label: 'Project Budget (USD)',
+                        placeholder: 'Select Budget Range',
+                        options: {
+                            'under-5k': 'Under $5,000',
+                            '5k-10k': '$5,000 - $10,000',
+                            '10k-25k': '$10,000 - $25,000',
+                            '25k-plus': '$25,000+'
+                        }
+                    },
+                    message: { label: 'Tell me about your project' }
+                },
+                attachments: {
+                    promptHtml: '<strong>Attach a brief, RFP or wireframes</strong> - drag &amp; drop or click to browse',
+                    hint: 'Optional · up to {count} files, {size} each · {types}',
+                    remove: 'Remove {file}',
+                    tooMany: 'Please attach no more than {count} files.',
+                    uploading: 'Uploading… {percent}%',
+                    processing: 'Processing…'
+                },
+                booking: {
+                    title: 'Book a discovery call',
+                    optional: 'Optional - times are shown in your timezone.',
+                    held: '{day} at {time} is held for you - send the form to confirm.',
+                    unavailable: 'Unable to reserve that time right now. You can still send the form without one.'
+                },
+                draft: {
+                    saved: 'Draft saved on this device.',
+                    restored: 'We kept the message you started last time.',
+                    clear: 'Clear draft'
+                },
+                status: {
+                    invalid: 'Please correct the highlighted fields.',
+                    sent: 'Thank you! Your message has been sent successfully. I\'ll get back to you within 24 hours.',
+                    error: 'Oops! There was an error sending your message. Please try again or contact me directly at abhishek.dev694@gmail.com',
+                    offline: 'Unable to connect to server. Please try again or email me directly at abhishek.dev694@gmail.com',
+                    queued: 'The server can\'t be reached right now, so your message has been saved on this device. It will be sent automatically once the connection is back.',
+                    queuedSent: 'The message you saved while offline has been sent. I\'ll get back to you within 24 hours.',
+                    queuedSentMany: 'The {count} messages you saved while offline have been sent. I\'ll get back to you within 24 hours.',
+                    queuedRejected: 'The message you saved while offline couldn\'t be sent: {reason}'
+                }
+            },
+            validation: {
+                notText: 'Please enter text for this field.',
+                required: '{label} is required.',
+                email: 'Please enter a valid email address.',
+                option: 'Please choose one of the listed options.',
+                minLength: 'Please enter at least {count} characters.',
+                maxLength: 'Please keep this under {count} characters.',
+                fileType: '{file} isn\'t a supported file type ({types}).',
+                fileSize: '{file} is larger than {size}.'
+            },
+            api: {
+                success: 'Thank you for your message! I\'ll get back to you within 24 hours.',
+                invalid: 'Please correct the highlighted fields and try again.',
+                tooFast: 'That was quick! Please take a moment to review your message and send it again.',
+                expired: 'Your session has expired. Please reload the page and try again.',
+                bookingUnavailable: 'Sorry, the call time you picked is no longer available. Please choose another slot.',
+                rateLimited: 'Too many emails sent from this IP. Please try again later.',
+                serverError: 'Internal server error',
+                booking: {
+                    invalid: 'start must be one of the times from /api/availability.',
+                    taken: 'Sorry, that time was just taken. Please pick another slot.',
+                    held: 'Slot held for {minutes} minutes - submit the form to confirm it.',
+                    notFound: 'Hold not found',
+                    released: 'Hold released',
+                    rateLimited: 'Too many booking attempts from this IP. Please try again later.'
+                },
+                upload: {
+                    fileSize: 'Each file must be {size} or smaller.',
+                    fileCount: 'Please attach no more than {count} files.',
+                    field: 'Files must be sent in the "{field}" field.',
+                    failed: 'The upload could not be processed. Please try again.'
+                },
+                sendError: {
+                    timeout: 'Connection timeout occurred. Please try again in a moment or email me directly at {email}',
+                    auth: 'Email authentication failed. Please email me directly at {email}',
+                    configuring: 'Email system is currently being configured. Please email me directly at {email}',
+                    generic: 'Sorry, there was an error sending your message. Please try again or email me directly at {email}'
+                }
+            },
+            email: {
+                autoReplySubject: 'Thanks for your inquiry, {name}! I\'ll be in touch soon 🚀'
+            }
+        },
+
+        es: {
+            meta: {
+                title: 'Abhishek Goel - Desarrollador web freelance | EE. UU. y Canadá'
+            },
+            nav: {
+                home: 'Inicio',
+                about: 'Sobre mí',
+                experience: 'Experiencia',
+                services: 'Servicios',
+                projects: 'Proyectos',
+                contact: 'Contacto',
+                language: 'Idioma'
+            },
+            hero: {
+                greeting: 'Hola, soy',
+                role: 'Ingeniero de software sénior y desarrollador freelance',
+                subtitleHtml: '<strong>Más de 3 años en Fynd (Reliance)</strong> creando soluciones de comercio electrónico escalables. Ahora diseño sitios web impactantes para empresas de <span class="highlight">EE.&nbsp;UU. y Canadá</span>. ¡Hagamos realidad tu visión digital! 🚀',
+                viewWork: 'Ver mi trabajo',
+                talk: 'Hablemos',
+                scroll: 'Desplázate para explorar'
+            },
+            about: {
+                title: 'Sobre mí',
+                subtitle: 'Desarrollador apasionado con talento para crear experiencias digitales excepcionales',
+                currentRole: 'Puesto actual',
+                currentRoleHtml: 'Ingeniero de software en <strong>Fynd (Shopsense Retail Technologies - Reliance)</strong> desde junio de 2022. Desarrollo soluciones de comercio electrónico a gran escala que usan millones de personas cada día.',
+                freelance: 'Trayectoria freelance',
+                freelanceHtml: 'Aprovecho más de 3 años de experiencia profesional para ayudar a empresas de <strong>EE.&nbsp;UU. y Canadá</strong> a consolidar su presencia digital con sitios web modernos y escalables.',
+                education: 'Formación',
+                educationHtml: '<strong>Grado en Ingeniería Informática (BTech)</strong> por el Maharaja Agrasen Institute Of Technology, Delhi (2017-2021). Sólida base en algoritmos, estructuras de datos e ingeniería de software.',
+                skills: {
+                    fast: 'Carga rápida',
+                    mobile: 'Pensado para móviles',
+                    design: 'Diseño moderno',
+                    code: 'Código limpio'
+                },
+                stats: {
+                    years: 'Años en Fynd/Reliance',
+                    total: 'Experiencia total',
+                    users: 'Millones de usuarios atendidos'
+                }
+            },
+            experience: {
+                title: 'Trayectoria profesional',
+                subtitle: 'De las prácticas a ingeniero sénior: una trayectoria de crecimiento y excelencia',
+                role: 'Ingeniero de software',
+                fynd: {
+                    duration: 'Jun 2022 - Actualidad • más de 3 años',
+                    location: 'Noida',
+                    body: 'Desarrollo y escalo soluciones de comercio electrónico que usan millones de personas. Trabajo con tecnologías de vanguardia para ofrecer aplicaciones web de alto rendimiento para el mayor ecosistema minorista de la India.',
+                    tags: {
+                        ecommerce: 'Plataforma de e-commerce',
+                        users: 'Millones de usuarios',
+                        scale: 'Soluciones escalables'
+                    }
+                },
+                pepcoding: {
+                    duration: 'Ago 2021 - Jun 2022 • 11 meses',
+                    location: 'Híbrido',
+                    body: 'Desarrollé soluciones de tecnología educativa y fui mentor de futuros desarrolladores. Mejoré el rendimiento de la plataforma y la experiencia de usuario.',
+                    tags: {
+                        edtech: 'EdTech',
+                        mentoring: 'Mentoría',
+                        platform: 'Desarrollo de plataforma'
+                    }
+                }
+            },
+            services: {
+                title: 'Servicios',
+                subtitle: 'Soluciones completas de desarrollo web adaptadas a las necesidades de tu negocio',
+                popular: 'Más popular',
+                responsive: {
+                    title: 'Sitios web adaptables',
+                    body: 'Sitios web atractivos y pensados para móviles que se ven perfectos en cualquier dispositivo y generan conversiones.',
+                    mobile: 'Diseño pensado para móviles',
+                    browsers: 'Compatibilidad entre navegadores',
+                    seo: 'Optimizado para SEO'
+                },
+                ecommerce: {
+                    title: 'Soluciones de e-commerce',
+                    body: 'Tiendas en línea completas con pasarela de pago, gestión de inventario y paneles de administración.',
+                    payments: 'Integración de pasarelas de pago',
+                    inventory: 'Gestión de inventario',
+                    analytics: 'Panel de analíticas'
+                },
+                performance: {
+                    title: 'Optimización del rendimiento',
+                    body: 'Acelera tu sitio web actual con técnicas de optimización modernas y buenas prácticas.',
+                    vitals: 'Optimización de Core Web Vitals',
+                    images: 'Optimización de imágenes',
+                    caching: 'Estrategias de caché'
+                }
+            },
+            portfolio: {
+                title: 'Trabajos destacados',
+                subtitle: 'Una selección de proyectos recientes con resultados de negocio reales',
+                filterLabel: 'Filtrar proyectos',
+                all: 'Todos los proyectos',
+                loadError: 'No se han podido cargar los proyectos. Actualiza la página para volver a intentarlo.',
+                empty: 'Ningún proyecto coincide con esos filtros.',
+                search: 'Buscar proyectos...',
+                searchLabel: 'Buscar proyectos',
+                matchLabel: 'Cómo se combinan las etiquetas seleccionadas',
+                matchAny: 'Cualquier etiqueta seleccionada',
+                matchAll: 'Todas las etiquetas seleccionadas',
+                sortLabel: 'Ordenar proyectos',
+                sorts: {
+                    featured: 'Destacados primero',
+                    title: 'Título (A-Z)',
+                    'title-desc': 'Título (Z-A)'
+                },
+                tagsLabel: 'Filtrar por tecnología',
+                countFiltered: 'Mostrando {shown} de {total} proyectos',
+                countAll: 'Mostrando los {shown} proyectos',
+                clear: 'Borrar filtros',
+                readCaseStudy: 'Leer el caso de estudio',
+                viewLive: 'Ver {title} en línea',
+                viewSource: 'Ver el código de {title}'
+            },
+            caseStudy: {
+                pageTitle: '{title} - Caso de estudio | Abhishek Goel',
+                back: 'Todos los proyectos',
+                viewLive: 'Ver en vivo',
+                source: 'Código fuente',
+                problem: 'El problema',
+                approach: 'El enfoque',
+                outcomes: 'Resultados',
+                stack: 'Tecnologías',
+                startSimilar: 'Empezar un proyecto similar'
+            },
+            contact: {
+                title: 'Trabajemos juntos',
+                subtitle: '¿Listo para hacer realidad tu visión digital? ¡Hablemos de tu proyecto!',
+                location: 'Ubicación',
+                locationHtml: 'Clientes en todo<br>EE.&nbsp;UU. y Canadá',
+                email: 'Correo electrónico',
+                response: 'Tiempo de respuesta',
+                responseHtml: 'En menos de 24 horas<br>(¡normalmente mucho antes!)',
+                send: 'Enviar mensaje'
+            },
+            footer: {
+                tagline: 'Creo experiencias web excepcionales para empresas de toda Norteamérica.',
+                services: 'Servicios',
+                webDevelopment: 'Desarrollo web',
+                ecommerce: 'E-commerce',
+                optimization: 'Optimización',
+                maintenance: 'Mantenimiento',
+                quickLinks: 'Enlaces rápidos',
+                about: 'Sobre mí',
+                experience: 'Experiencia',
+                projects: 'Proyectos',
+                quote: 'Pedir presupuesto',
+                rights: '© 2024 Abhishek Goel. Todos los derechos reservados.',
+                madeWith: 'Hecho con ❤️ para empresas de EE. UU. y Canadá'
+            },
+            form: {
+                fields: {
+                    name: { label: 'Tu nombre' },
+                    email: { label: 'Correo electrónico' },
+                    budget: {
+                        label: 'Presupuesto del proyecto (USD)',
+                        placeholder: 'Selecciona un rango de presupuesto',
+                        options: {
+                            'under-5k': 'Menos de $5,000',
+                            '5k-10k': '$5,000 - $10,000',
+                            '10k-25k': '$10,000 - $25,000',
+                            '25k-plus': 'Más de $25,000'
+                        }
+                    },
+                    message: { label: 'Cuéntame sobre tu proyecto' }
+                },
+                attachments: {
+                    promptHtml: '<strong>Adjunta un brief, una RFP o wireframes</strong>: arrastra y suelta o haz clic para buscar',
+                    hint: 'Opcional · hasta {count} archivos de {size} cada uno · {types}',
+                    remove: 'Quitar {file}',
+                    tooMany: 'Adjunta como máximo {count} archivos.',
+                    uploading: 'Subiendo… {percent}%',
+                    processing: 'Procesando…'
+                },
+                booking: {
+                    title: 'Reserva una llamada inicial',
+                    optional: 'Opcional: los horarios se muestran en tu zona horaria.',
+                    held: 'Te reservamos el {day} a las {time}: envía el formulario para confirmarlo.',
+                    unavailable: 'No se ha podido reservar ese horario. Puedes enviar el formulario sin él.'
+                },
+                draft: {
+                    saved: 'Borrador guardado en este dispositivo.',
+                    restored: 'Hemos guardado el mensaje que empezaste la última vez.',
+                    clear: 'Borrar borrador'
+                },
+                status: {
+                    invalid: 'Corrige los campos marcados.',
+                    sent: '¡Gracias! Tu mensaje se ha enviado correctamente. Te responderé en menos de 24 horas.',
+                    error: '¡Vaya! Se ha producido un error al enviar tu mensaje. Vuelve a intentarlo o escríbeme directamente a abhishek.dev694@gmail.com',
+                    offline: 'No se puede conectar con el servidor. Vuelve a intentarlo o escríbeme directamente a abhishek.dev694@gmail.com',
+                    queued: 'Ahora mismo no se puede contactar con el servidor, así que tu mensaje se ha guardado en este dispositivo. Se enviará automáticamente cuando vuelva la conexión.',
+                    queuedSent: 'Se ha enviado el mensaje que guardaste sin conexión. Te responderé en menos de 24 horas.',
+                    queuedSentMany: 'Se han enviado los {count} mensajes que guardaste sin conexión. Te responderé en menos de 24 horas.',
+                    queuedRejected: 'No se ha podido enviar el mensaje que guardaste sin conexión: {reason}'
+                }
+            },
+            validation: {
+                notText: 'Escribe un texto en este campo.',
+                required: 'El campo «{label}» es obligatorio.',
+                email: 'Introduce una dirección de correo válida.',
+                option: 'Elige una de las opciones de la lista.',
+                minLength: 'Escribe al menos {count} caracteres.',
+                maxLength: 'No superes los {count} caracteres.',
+                fileType: '{file} no es un tipo de archivo admitido ({types}).',
+                fileSize: '{file} ocupa más de {size}.'
+            },
+            api: {
+                success: '¡Gracias por tu mensaje! Te responderé en menos de 24 horas.',
+                invalid: 'Corrige los campos marcados y vuelve a intentarlo.',
+                tooFast: '¡Qué rapidez! Tómate un momento para revisar tu mensaje y vuelve a enviarlo.',
+                expired: 'Tu sesión ha caducado. Recarga la página y vuelve a intentarlo.',
+                bookingUnavailable: 'Lo sentimos, el horario que elegiste ya no está disponible. Elige otro.',
+                rateLimited: 'Se han enviado demasiados mensajes desde esta IP. Inténtalo de nuevo más tarde.',
+                serverError: 'Error interno del servidor',
+                booking: {
+                    invalid: 'start debe ser una de las horas de /api/availability.',
+                    taken: 'Lo sentimos, ese horario se acaba de reservar. Elige otro.',
+                    held: 'Horario reservado durante {minutes} minutos: envía el formulario para confirmarlo.',
+                    notFound: 'Reserva no encontrada',
+                    released: 'Reserva liberada',
+                    rateLimited: 'Demasiados intentos de reserva desde esta IP. Inténtalo de nuevo más tarde.'
+                },
+                upload: {
+                    fileSize: 'Cada archivo debe ocupar {size} o menos.',
+                    fileCount: 'Adjunta como máximo {count} archivos.',
+                    field: 'Los archivos deben enviarse en el campo «{field}».',
+                    failed: 'No se ha podido procesar la subida. Vuelve a intentarlo.'
+                },
+                sendError: {
+                    timeout: 'Se ha agotado el tiempo de conexión. Vuelve a intentarlo en un momento o escríbeme directamente a {email}',
+                    auth: 'Ha fallado la autenticación del correo. Escríbeme directamente a {email}',
+                    configuring: 'El sistema de correo se está configurando. Escríbeme directamente a {email}',
+                    generic: 'Lo sentimos, se ha producido un error al enviar tu mensaje. Vuelve a intentarlo o escríbeme directamente a {email}'
+                }
+            },
+            email: {
+                autoReplySubject: '¡Gracias por tu consulta, {name}! Te escribiré muy pronto 🚀'
+            }
+        },
+
+        fr: {
+            meta: {
+                title: 'Abhishek Goel - Développeur web freelance | États-Unis et Canada'
+            },
+            nav: {
+                home: 'Accueil',
+                about: 'À propos',
+                experience: 'Expérience',
+                services: 'Services',
+                projects: 'Projets',
+                contact: 'Contact',
+                language: 'Langue'
+            },
+            hero: {
+                greeting: 'Bonjour, je suis',
+                role: 'Ingénieur logiciel senior et développeur freelance',
+                subtitleHtml: '<strong>Plus de 3 ans chez Fynd (Reliance)</strong> à concevoir des solutions e-commerce évolutives. Je crée désormais des sites web remarquables pour les entreprises des <span class="highlight">États-Unis et du Canada</span>. Donnons vie à votre projet numérique&nbsp;! 🚀',
+                viewWork: 'Voir mes réalisations',
+                talk: 'Discutons',
+                scroll: 'Faites défiler pour découvrir'
+            },
+            about: {
+                title: 'À propos de moi',
+                subtitle: 'Un développeur passionné, doué pour créer des expériences numériques d\'exception',
+                currentRole: 'Poste actuel',
+                currentRoleHtml: 'Ingénieur logiciel chez <strong>Fynd (Shopsense Retail Technologies - Reliance)</strong> depuis juin 2022. Je conçois des solutions e-commerce à grande échelle utilisées chaque jour par des millions de personnes.',
+                freelance: 'Parcours freelance',
+                freelanceHtml: 'Je mets plus de 3 ans d\'expérience professionnelle au service des entreprises des <strong>États-Unis et du Canada</strong> pour bâtir leur présence en ligne avec des sites modernes et évolutifs.',
+                education: 'Formation',
+                educationHtml: '<strong>Licence d\'informatique (BTech)</strong> au Maharaja Agrasen Institute Of Technology, Delhi (2017-2021). De solides bases en algorithmique, structures de données et génie logiciel.',
+                skills: {
+                    fast: 'Chargement rapide',
+                    mobile: 'Priorité au mobile',
+                    design: 'Design moderne',
+                    code: 'Code propre'
+                },
+                stats: {
+                    years: 'Années chez Fynd/Reliance',
+                    total: 'Expérience totale',
+                    users: 'Millions d\'utilisateurs servis'
+                }
+            },
+            experience: {
+                title: 'Parcours professionnel',
+                subtitle: 'Des stages au poste d\'ingénieur senior : une progression constante et exigeante',
+                role: 'Ingénieur logiciel',
+                fynd: {
+                    duration: 'Juin 2022 - Aujourd\'hui • plus de 3 ans',
+                    location: 'Noida',
+                    body: 'Je conçois et fais évoluer des solutions e-commerce utilisées par des millions de personnes, avec des technologies de pointe, pour livrer des applications web performantes au plus grand écosystème de distribution d\'Inde.',
+                    tags: {
+                        ecommerce: 'Plateforme e-commerce',
+                        users: 'Millions d\'utilisateurs',
+                        scale: 'Solutions évolutives'
+                    }
+                },
+                pepcoding: {
+                    duration: 'Août 2021 - Juin 2022 • 11 mois',
+                    location: 'Hybride',
+                    body: 'J\'ai développé des solutions de technologie éducative et accompagné de futurs développeurs, tout en améliorant les performances et l\'expérience utilisateur de la plateforme.',
+                    tags: {
+                        edtech: 'EdTech',
+                        mentoring: 'Mentorat',
+                        platform: 'Développement de plateforme'
+                    }
+                }
+            },
+            services: {
+                title: 'Services',
+                subtitle: 'Des solutions de développement web complètes, adaptées aux besoins de votre entreprise',
+                popular: 'Le plus demandé',
+                responsive: {
+                    title: 'Sites web responsives',
+                    body: 'Des sites élégants, pensés d\'abord pour le mobile, parfaits sur tous les écrans et conçus pour convertir.',
+                    mobile: 'Conception mobile first',
+                    browsers: 'Compatibilité multi-navigateurs',
+                    seo: 'Optimisé pour le SEO'
+                },
+                ecommerce: {
+                    title: 'Solutions e-commerce',
+                    body: 'Des boutiques en ligne complètes avec paiement intégré, gestion des stocks et tableaux de bord d\'administration.',
+                    payments: 'Intégration de passerelles de paiement',
+                    inventory: 'Gestion des stocks',
+                    analytics: 'Tableau de bord analytique'
+                },
+                performance: {
+                    title: 'Optimisation des performances',
+                    body: 'Accélérez votre site existant grâce à des techniques d\'optimisation modernes et aux bonnes pratiques.',
+                    vitals: 'Optimisation des Core Web Vitals',
+                    images: 'Optimisation des images',
+                    caching: 'Stratégies de mise en cache'
+                }
+            },
+            portfolio: {
+                title: 'Réalisations',
+                subtitle: 'Une sélection de projets récents aux résultats concrets',
+                filterLabel: 'Filtrer les projets',
+                all: 'Tous les projets',
+                loadError: 'Impossible de charger les projets pour le moment. Actualisez la page pour réessayer.',
+                empty: 'Aucun projet ne correspond à ces filtres.',
+                search: 'Rechercher des projets...',
+                searchLabel: 'Rechercher des projets',
+                matchLabel: 'Combinaison des étiquettes sélectionnées',
+                matchAny: 'Au moins une étiquette',
+                matchAll: 'Toutes les étiquettes',
+                sortLabel: 'Trier les projets',
+                sorts: {
+                    featured: 'À la une d\'abord',
+                    title: 'Titre (A-Z)',
+                    'title-desc': 'Titre (Z-A)'
+                },
+                tagsLabel: 'Filtrer par technologie',
+                countFiltered: '{shown} projets affichés sur {total}',
+                countAll: 'Les {shown} projets sont affichés',
+                clear: 'Effacer les filtres',
+                readCaseStudy: 'Lire l\'étude de cas',
+                viewLive: 'Voir {title} en ligne',
+                viewSource: 'Voir le code de {title}'
+            },
+            caseStudy: {
+                pageTitle: '{title} - Étude de cas | Abhishek Goel',
+                back: 'Tous les projets',
+                viewLive: 'Voir le site',
+                source: 'Code source',
+                problem: 'Le problème',
+                approach: 'L\'approche',
+                outcomes: 'Résultats',
+                stack: 'Technologies',
+                startSimilar: 'Lancer un projet similaire'
+            },
+            contact: {
+                title: 'Travaillons ensemble',
+                subtitle: 'Prêt à concrétiser votre projet numérique ? Parlons-en !',
+                location: 'Localisation',
+                locationHtml: 'Clients partout aux<br>États-Unis et au Canada',
+                email: 'E-mail',
+                response: 'Délai de réponse',
+                responseHtml: 'Sous 24 heures<br>(souvent bien plus tôt !)',
+                send: 'Envoyer le message'
+            },
+            footer: {
+                tagline: 'Des expériences web d\'exception pour les entreprises de toute l\'Amérique du Nord.',
+                services: 'Services',
+                webDevelopment: 'Développement web',
+                ecommerce: 'E-commerce',
+                optimization: 'Optimisation',
+                maintenance: 'Maintenance',
+                quickLinks: 'Liens rapides',
+                about: 'À propos',
+                experience: 'Expérience',
+                projects: 'Projets',
+                quote: 'Demander un devis',
+                rights: '© 2024 Abhishek Goel. Tous droits réservés.',
+                madeWith: 'Fait avec ❤️ pour les entreprises des États-Unis et du Canada'
+            },
+            form: {
+                fields: {
+                    name: { label: 'Votre nom' },
+                    email: { label: 'Adresse e-mail' },
+                    budget: {
+                        label: 'Budget du projet (USD)',
+                        placeholder: 'Choisissez une fourchette de budget',
+                        options: {
+                            'under-5k': 'Moins de 5 000 $',
+                            '5k-10k': '5 000 $ - 10 000 $',
+                            '10k-25k': '10 000 $ - 25 000 $',
+                            '25k-plus': 'Plus de 25 000 $'
+                        }
+                    },
+                    message: { label: 'Parlez-moi de votre projet' }
+                },
+                attachments: {
+                    promptHtml: '<strong>Joignez un brief, un cahier des charges ou des maquettes</strong> - glissez-déposez ou cliquez pour parcourir',
+                    hint: 'Facultatif · jusqu\'à {count} fichiers de {size} chacun · {types}',
+                    remove: 'Retirer {file}',
+                    tooMany: 'Vous pouvez joindre {count} fichiers au maximum.',
+                    uploading: 'Envoi… {percent} %',
+                    processing: 'Traitement…'
+                },
+                booking: {
+                    title: 'Réservez un appel découverte',
+                    optional: 'Facultatif - les horaires sont affichés dans votre fuseau horaire.',
+                    held: 'Le créneau du {day} à {time} vous est réservé - envoyez le formulaire pour le confirmer.',
+                    unavailable: 'Impossible de réserver ce créneau pour le moment. Vous pouvez tout de même envoyer le formulaire sans créneau.'
+                },
+                draft: {
+                    saved: 'Brouillon enregistré sur cet appareil.',
+                    restored: 'Nous avons conservé le message commencé lors de votre dernière visite.',
+                    clear: 'Effacer le brouillon'
+                },
+                status: {
+                    invalid: 'Veuillez corriger les champs signalés.',
+                    sent: 'Merci ! Votre message a bien été envoyé. Je vous réponds sous 24 heures.',
+                    error: 'Oups ! Une erreur est survenue lors de l\'envoi de votre message. Réessayez ou écrivez-moi directement à abhishek.dev694@gmail.com',
+                    offline: 'Impossible de joindre le serveur. Réessayez ou écrivez-moi directement à abhishek.dev694@gmail.com',
+                    queued: 'Le serveur est injoignable pour le moment : votre message a été enregistré sur cet appareil et sera envoyé automatiquement dès le retour de la connexion.',
+                    queuedSent: 'Le message enregistré hors connexion a été envoyé. Je vous réponds sous 24 heures.',
+                    queuedSentMany: 'Les {count} messages enregistrés hors connexion ont été envoyés. Je vous réponds sous 24 heures.',
+                    queuedRejected: 'Le message enregistré hors connexion n\'a pas pu être envoyé : {reason}'
+                }
+            },
+            validation: {
+                notText: 'Veuillez saisir du texte dans ce champ.',
+                required: 'Le champ « {label} » est obligatoire.',
+                email: 'Veuillez saisir une adresse e-mail valide.',
+                option: 'Veuillez choisir l\'une des options proposées.',
+                minLength: 'Veuillez saisir au moins {count} caractères.',
+                maxLength: 'Veuillez ne pas dépasser {count} caractères.',
+                fileType: '{file} n\'est pas un type de fichier accepté ({types}).',
+                fileSize: '{file} dépasse {size}.'
+            },
+            api: {
+                success: 'Merci pour votre message ! Je vous réponds sous 24 heures.',
+                invalid: 'Veuillez corriger les champs signalés et réessayer.',
+                tooFast: 'C\'était rapide ! Prenez un instant pour relire votre message, puis renvoyez-le.',
+                expired: 'Votre session a expiré. Rechargez la page et réessayez.',
+                bookingUnavailable: 'Désolé, le créneau choisi n\'est plus disponible. Veuillez en choisir un autre.',
+                rateLimited: 'Trop de messages ont été envoyés depuis cette adresse IP. Veuillez réessayer plus tard.',
+                serverError: 'Erreur interne du serveur',
+                booking: {
+                    invalid: 'start doit être l\'un des horaires de /api/availability.',
+                    taken: 'Désolé, ce créneau vient d\'être pris. Veuillez en choisir un autre.',
+                    held: 'Créneau réservé pendant {minutes} minutes - envoyez le formulaire pour le confirmer.',
+                    notFound: 'Réservation introuvable',
+                    released: 'Réservation libérée',
+                    rateLimited: 'Trop de tentatives de réservation depuis cette adresse IP. Veuillez réessayer plus tard.'
+                },
+                upload: {
+                    fileSize: 'Chaque fichier doit faire {size} au maximum.',
+                    fileCount: 'Veuillez joindre {count} fichiers au maximum.',
+                    field: 'Les fichiers doivent être envoyés dans le champ « {field} ».',
+                    failed: 'Le téléversement n\'a pas pu être traité. Veuillez réessayer.'
+                },
+                sendError: {
+                    timeout: 'Le délai de connexion a expiré. Réessayez dans un instant ou écrivez-moi directement à {email}',
+                    auth: 'L\'authentification du service e-mail a échoué. Écrivez-moi directement à {email}',
+                    configuring: 'Le service e-mail est en cours de configuration. Écrivez-moi directement à {email}',
+                    generic: 'Désolé, une erreur est survenue lors de l\'envoi de votre message. Réessayez ou écrivez-moi directement à {email}'
+                }
+            },
+            email: {
+                autoReplySubject: 'Merci pour votre demande, {name} ! Je reviens vers vous très vite 🚀'
+            }
+        }
+    };
+
+    const isSupported = (locale) => LOCALES.some(entry => entry.code === locale);
+
+    // The first supported language in a preference list (navigator.languages,
+    // or an Accept-Language header split up) - "fr-CA" counts as "fr"
+    const negotiate = (preferences = []) => {
+        for (const tag of preferences) {
+            const code = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+            if (isSupported(code)) return code;
+        }
+        return DEFAULT_LOCALE;
+    };
+
+    const lookup = (catalog, key) => key.split('.').reduce(
+        (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+        catalog
+    );
+
+    // "Hello {name}" + { name: 'Jane' } -> "Hello Jane"; unknown placeholders are left as they are
+    const interpolate = (message, params = {}) => message.replace(
+        /\{(\w+)\}/g,
+        (match, name) => (params[name] === undefined || params[name] === null ? match : String(params[name]))
+    );
+
+    /**
+     * createTranslator(locale)
+     * Returns t(key, params) for one locale. A key its catalog doesn't have
+     * falls back to English, then to the key itself so a gap is easy to spot.
+     */
+    const createTranslator = (locale = DEFAULT_LOCALE) => {
+        const code = isSupported(locale) ? locale : DEFAULT_LOCALE;
+        const translate = (key, params) => {
+            let message = lookup(catalogs[code], key);
+            if (typeof message !== 'string') message = lookup(catalogs[DEFAULT_LOCALE], key);
+            return typeof message === 'string' ? interpolate(message, params) : key;
+        };
+        translate.locale = code;
+        return translate;
+    };
+
+    return { LOCALES, DEFAULT_LOCALE, catalogs, isSupported, negotiate, interpolate, createTranslator };
+});
@@ -0,0 +1,200 @@
+/**
+ * Admin Inquiry API
+ * Token-protected CRUD over the inquiry store and email queue, mounted at
+ * /api/admin.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { JOB_STATUSES } = require('./email-queue');
+const contactFormSchema = require('../form-schema');
+
+const INQUIRY_STATUSES = ['new', 'replied', 'archived', 'quarantined'];
+
+// Budget option values from the form schema, cheapest first
+const BUDGET_RANGES = contactFormSchema.getField('budget').options.map(option => option.value);
+
+const tokensMatch = (provided, expected) => {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const requireAdminToken = (token) => (req, res, next) => {
+    if (!token) {
+        return res.status(503).json({
+            success: false,
+            message: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.'
+        });
+    }
+
+    const header = req.get('Authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    if (!provided || !tokensMatch(provided, token)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or missing admin token.'
+        });
+    }
+
+    next();
+};
+
+const parseDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Filters: status, budget (comma list), minBudget/maxBudget (range bounds), from/to (ISO dates)
+const buildFilter = (query) => {
+    const errors = [];
+
+    const statuses = query.status ? String(query.status).split(',') : null;
+    if (statuses && statuses.some(status => !INQUIRY_STATUSES.includes(status))) {
+        errors.push(`status must be one of: ${INQUIRY_STATUSES.join(', ')}`);
+    }
+
+    let budgets = query.budget ? String(query.budget).split(',') : null;
+    if (query.minBudget || query.maxBudget) {
+        const min = query.minBudget ? BUDGET_RANGES.indexOf(query.minBudget) : 0;
+        const max = query.maxBudget ? BUDGET_RANGES.indexOf(query.maxBudget) : BUDGET_RANGES.length - 1;
+        if (min === -1 || max === -1) {
+            errors.push(`minBudget/maxBudget must be one of: ${BUDGET_RANGES.join(', ')}`);
+        } else {
+            const range = BUDGET_RANGES.slice(min, max + 1);
+            budgets = budgets ? budgets.filter(budget => range.includes(budget)) : range;
+        }
+    }
+
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from === undefined || to === undefined) {
+        errors.push('from/to must be valid dates');
+    }
+
+    const filter = (inquiry) => {
+        if (statuses && !statuses.includes(inquiry.status || 'new')) return false;
+        if (budgets && !budgets.includes(inquiry.budget)) return false;
+        const createdAt = new Date(inquiry.createdAt);
+        if (from && createdAt < from) return false;
+        if (to && createdAt > to) return false;
+        return true;
+    };
+
+    return { errors, filter };
+};
+
+const createAdminRouter = (inquiryStore, { token, emailQueue, attachmentStore }) => {
+    const router = express.Router();
+
+    router.use(requireAdminToken(token));
+
+    // List inquiries
+    router.get('/inquiries', (req, res) => {
+        const { errors, filter } = buildFilter(req.query);
+        if (errors.length) {
+            return res.status(400).json({ success: false, message: errors.join('; ') });
+        }
+
+        const inquiries = inquiryStore.list().filter(filter);
+        res.json({ success: true, count: inquiries.length, inquiries });
+    });
+
+    // View one inquiry
+    router.get('/inquiries/:id', (req, res) => {
+        const inquiry = inquiryStore.get(req.params.id);
+        if (!inquiry) {
+            return res.status(404).json({ success: false, message: 'Inquiry not found' });
+        }
+        res.json({ success: true, inquiry });
+    });
+
+    // Mark as replied / archived (or back to new)
+    router.patch('/inquiries/:id', (req, res) => {
+        const { status } = req.body || {};
+        if (!INQUIRY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${INQUIRY_STATUSES.join(', ')}`
+            });
+        }
+
+        const inquiry = inquiryStore.update(req.params.id, { status });
+        if (!inquiry) {
+            return res.status(404).json({ success: false, message: 'Inquiry not found' });
+        }
+        res.json({ success: true, inquiry });
+    });
+
+    // Download a file uploaded with an inquiry
+    router.get('/inquiries/:id/attachments/:attachmentId', (req, res) => {
+        const inquiry = inquiryStore.get(req.params.id);
+        const attachment = inquiry && (inquiry.attachments || []).find(item => item.id === req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ success: false, message: 'Attachment not found' });
+        }
+
+        res.download(attachmentStore.pathFor(attachment), attachment.fileName, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ success: false, message: 'Attachment file is missing' });
+            }
+        });
+    });
+
+    // Delete an inquiry along with its uploaded files
+    router.delete('/inquiries/:id', (req, res) => {
+        const inquiry = inquiryStore.get(req.params.id);
+        if (!inquiry || !inquiryStore.remove(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Inquiry not found' });
+        }
+        attachmentStore.remove(inquiry.attachments);
+        res.json({ success: true, message: 'Inquiry deleted' });
+    });
+
+    // Email queue - list jobs, optionally by status (pending, sent, dead)
+    router.get('/queue', (req, res) => {
+        const { status } = req.query;
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${JOB_STATUSES.join(', ')}`
+            });
+        }
+
+        const jobs = emailQueue.list(status);
+        res.json({ success: true, stats: emailQueue.stats(), count: jobs.length, jobs });
+    });
+
+    // Replay every dead-lettered email
+    router.post('/queue/replay-dead', (req, res) => {
+        const jobs = emailQueue.replayDead();
+        res.json({ success: true, count: jobs.length, jobs });
+    });
+
+    // View one queued email with its attempt history
+    router.get('/queue/:id', (req, res) => {
+        const job = emailQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Email not found' });
+        }
+        res.json({ success: true, job });
+    });
+
+    // Replay one failed email
+    router.post('/queue/:id/replay', (req, res) => {
+        const job = emailQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Email not found' });
+        }
+        if (job.status === 'sent') {
+            return res.status(409).json({ success: false, message: 'Email was already sent' });
+        }
+        res.json({ success: true, job: emailQueue.replay(job.id) });
+    });
+
+    return router;
+};
+
+module.exports = { createAdminRouter, INQUIRY_STATUSES, BUDGET_RANGES };
@@ -0,0 +1,117 @@
+/**
+ * Append Log
+ * Durable append-only JSON-lines record store.
+ *
+ * Every change is written as one JSON line (create / update / delete) and
+ * fsync'd before returning. The current state is rebuilt by replaying the
+ * log on startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const generateId = (prefix) => `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+
+const appendLine = (filePath, entry) => {
+    const fd = fs.openSync(filePath, 'a');
+    try {
+        fs.writeSync(fd, JSON.stringify(entry) + '\n');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+// Apply a (possibly nested) partial update without losing sibling keys
+const mergeDeep = (target, changes) => {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(changes)) {
+        if (value && typeof value === 'object' && !Array.isArray(value) && result[key] && typeof result[key] === 'object') {
+            result[key] = mergeDeep(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+};
+
+const replay = (filePath) => {
+    const records = new Map();
+    if (!fs.existsSync(filePath)) {
+        return records;
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            // A torn final write should not make the rest of the log unreadable
+            logger.warn('Skipping corrupt append-log line', { file: filePath, line: index + 1, error: error.message });
+            return;
+        }
+
+        if (entry.op === 'create') {
+            // Inquiry logs written before this module existed used `inquiry`
+            const record = entry.record || entry.inquiry;
+            records.set(record.id, record);
+        } else if (entry.op === 'update' && records.has(entry.id)) {
+            records.set(entry.id, mergeDeep(records.get(entry.id), entry.changes));
+        } else if (entry.op === 'delete') {
+            records.delete(entry.id);
+        }
+    });
+
+    return records;
+};
+
+const createAppendLog = (filePath, { idPrefix }) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const records = replay(filePath);
+
+    const create = (fields) => {
+        const record = {
+            id: generateId(idPrefix),
+            createdAt: new Date().toISOString(),
+            ...fields
+        };
+        appendLine(filePath, { op: 'create', record });
+        records.set(record.id, record);
+        return record;
+    };
+
+    const update = (id, changes) => {
+        if (!records.has(id)) {
+            return null;
+        }
+        const stamped = { ...changes, updatedAt: new Date().toISOString() };
+        appendLine(filePath, { op: 'update', id, changes: stamped });
+        const updated = mergeDeep(records.get(id), stamped);
+        records.set(id, updated);
+        return updated;
+    };
+
+    const remove = (id) => {
+        if (!records.has(id)) {
+            return false;
+        }
+        appendLine(filePath, { op: 'delete', id, at: new Date().toISOString() });
+        records.delete(id);
+        return true;
+    };
+
+    const get = (id) => records.get(id) || null;
+
+    // Newest first
+    const list = () => Array.from(records.values())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return { filePath, create, update, remove, get, list };
+};
+
+module.exports = { createAppendLog };
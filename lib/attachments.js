@@ -0,0 +1,118 @@
+/**
+ * Inquiry Attachments
+ * Multipart upload handling for the contact form. Files are checked against
+ * the limits in the shared form schema (form-schema.js), stored under the
+ * upload directory and referenced from the inquiry by their stored name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const contactFormSchema = require('../form-schema');
+const { createTranslator } = require('../i18n');
+const { logger } = require('./logger');
+
+const RULES = contactFormSchema.attachments;
+
+// Client-facing 400s; anything else (disk full, permissions) stays a 500
+const uploadError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const toUploadError = (error, t) => {
+    if (error.statusCode) return error;
+    if (!(error instanceof multer.MulterError)) return error;
+
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return uploadError(t('api.upload.fileSize', { size: contactFormSchema.formatFileSize(RULES.maxFileSizeBytes) }));
+        case 'LIMIT_FILE_COUNT':
+            return uploadError(t('api.upload.fileCount', { count: RULES.maxFiles }));
+        case 'LIMIT_UNEXPECTED_FILE':
+            return uploadError(t('api.upload.field', { field: RULES.name }));
+        default:
+            return uploadError(t('api.upload.failed'));
+    }
+};
+
+// Original names end up in email headers - keep them short and printable
+const sanitizeFileName = (name) => path.basename(String(name))
+    .replace(/[\x00-\x1f\x7f"\\/]/g, '_')
+    .slice(-150) || 'attachment';
+
+/**
+ * createAttachmentStore(uploadDir, { translatorFor })
+ * translatorFor(req) gives the i18n.js translator for the visitor's language,
+ * which upload errors are reported in.
+ */
+const createAttachmentStore = (uploadDir, { translatorFor = () => createTranslator() } = {}) => {
+    const storage = multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdir(uploadDir, { recursive: true }, (error) => cb(error, uploadDir));
+        },
+        filename: (req, file, cb) => {
+            const id = `att_${Date.now().toString(36)}${crypto.randomBytes(6).toString('hex')}`;
+            cb(null, `${id}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    });
+
+    const upload = multer({
+        storage,
+        limits: {
+            files: RULES.maxFiles,
+            fileSize: RULES.maxFileSizeBytes,
+            fields: 20,
+            fieldSize: 64 * 1024
+        },
+        fileFilter: (req, file, cb) => {
+            // Size is enforced by limits.fileSize while streaming
+            const error = contactFormSchema.validateAttachment(
+                { name: file.originalname, size: 0, type: file.mimetype },
+                translatorFor(req)
+            );
+            cb(error ? uploadError(error) : null, !error);
+        }
+    }).array(RULES.name);
+
+    // Express middleware - parses multipart bodies into req.body / req.files.
+    // JSON submissions pass straight through. Errors carry statusCode 400 when
+    // the visitor can fix them.
+    const middleware = (req, res, next) => {
+        upload(req, res, (error) => next(error ? toUploadError(error, translatorFor(req)) : undefined));
+    };
+
+    // Inquiry records for the files multer stored on this request
+    const describe = (files = []) => files.map(file => ({
+        id: path.parse(file.filename).name,
+        fileName: sanitizeFileName(file.originalname),
+        storedName: file.filename,
+        mimeType: file.mimetype,
+        size: file.size
+    }));
+
+    const pathFor = (attachment) => path.join(uploadDir, path.basename(attachment.storedName));
+
+    // nodemailer attachment entries - files are read from disk when the email is sent
+    const toMailAttachments = (attachments = []) => attachments.map(attachment => ({
+        filename: attachment.fileName,
+        path: pathFor(attachment),
+        contentType: attachment.mimeType
+    }));
+
+    const remove = (attachments = []) => {
+        attachments.forEach(attachment => {
+            fs.unlink(pathFor(attachment), (error) => {
+                if (error && error.code !== 'ENOENT') {
+                    logger.warn('Failed to remove attachment', { storedName: attachment.storedName, error: error.message });
+                }
+            });
+        });
+    };
+
+    return { uploadDir, middleware, describe, pathFor, toMailAttachments, remove };
+};
+
+module.exports = { createAttachmentStore };
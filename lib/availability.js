@@ -0,0 +1,155 @@
+/**
+ * Availability
+ * Turns the working hours and blocked dates in config/availability.json into
+ * bookable call slots. Working hours are wall-clock times in the developer's
+ * TIMEZONE; slots are returned as UTC instants so the browser can show them
+ * in the visitor's own timezone.
+ */
+
+const fs = require('fs');
+const { ConfigError } = require('./config');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE_MS = 60 * 1000;
+
+const NUMBER_SETTINGS = {
+    slotMinutes: { min: 5, default: 30 },
+    bufferMinutes: { min: 0, default: 0 },
+    minNoticeHours: { min: 0, default: 24 },
+    horizonDays: { min: 1, default: 14 },
+    holdMinutes: { min: 1, default: 15 }
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Read and validate the availability file, reporting every problem at once
+const loadAvailability = (filePath) => {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`Could not read availability file ${filePath}: ${error.message}`]);
+    }
+
+    const errors = [];
+    const settings = {};
+
+    for (const [key, rule] of Object.entries(NUMBER_SETTINGS)) {
+        const value = raw[key] === undefined ? rule.default : raw[key];
+        if (!Number.isInteger(value) || value < rule.min) {
+            errors.push(`availability.${key} must be a whole number of at least ${rule.min} (got ${JSON.stringify(raw[key])})`);
+        }
+        settings[key] = value;
+    }
+
+    settings.workingHours = {};
+    WEEKDAYS.forEach(day => {
+        const ranges = (raw.workingHours || {})[day] || [];
+        if (!Array.isArray(ranges)) {
+            errors.push(`availability.workingHours.${day} must be a list of { start, end } ranges`);
+            settings.workingHours[day] = [];
+            return;
+        }
+        ranges.forEach((range, index) => {
+            const where = `availability.workingHours.${day}[${index}]`;
+            if (!range || !TIME_PATTERN.test(range.start) || !TIME_PATTERN.test(range.end)) {
+                errors.push(`${where} needs start and end times like "09:30"`);
+            } else if (toMinutes(range.end) <= toMinutes(range.start)) {
+                errors.push(`${where} must end after it starts`);
+            }
+        });
+        settings.workingHours[day] = ranges;
+    });
+
+    settings.blockedDates = raw.blockedDates || [];
+    if (!Array.isArray(settings.blockedDates)) {
+        errors.push('availability.blockedDates must be a list of YYYY-MM-DD dates');
+        settings.blockedDates = [];
+    }
+    settings.blockedDates.forEach(date => {
+        if (!DATE_PATTERN.test(date)) {
+            errors.push(`availability.blockedDates entry "${date}" is not a YYYY-MM-DD date`);
+        }
+    });
+
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+
+    return Object.freeze(settings);
+};
+
+// Wall-clock fields of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    });
+    return parts;
+};
+
+const getZoneOffsetMs = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// "2024-06-03" + 600 minutes in America/New_York -> epoch ms. The offset is
+// re-checked at the result so days that change DST land on the right hour.
+const zonedTimeToEpoch = (dateKey, minutes, timeZone) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const firstGuess = wallClock - getZoneOffsetMs(new Date(wallClock), timeZone);
+    return wallClock - getZoneOffsetMs(new Date(firstGuess), timeZone);
+};
+
+/**
+ * Open slots from `now` through the horizon, skipping blocked dates, slots
+ * inside the minimum notice period and slots that overlap a busy period
+ * (plus the buffer on either side). busy is a list of { start, end } in epoch ms.
+ */
+const listSlots = (settings, { timeZone, now = Date.now(), busy = [] }) => {
+    const slots = [];
+    const slotMs = settings.slotMinutes * MINUTE_MS;
+    const bufferMs = settings.bufferMinutes * MINUTE_MS;
+    const earliest = now + settings.minNoticeHours * 60 * MINUTE_MS;
+    const today = getZonedParts(new Date(now), timeZone);
+
+    for (let offset = 0; offset <= settings.horizonDays; offset++) {
+        const calendarDay = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        const dateKey = calendarDay.toISOString().slice(0, 10);
+        if (settings.blockedDates.includes(dateKey)) continue;
+
+        settings.workingHours[WEEKDAYS[calendarDay.getUTCDay()]].forEach(range => {
+            const rangeEnd = toMinutes(range.end);
+            for (let minute = toMinutes(range.start); minute + settings.slotMinutes <= rangeEnd; minute += settings.slotMinutes) {
+                const start = zonedTimeToEpoch(dateKey, minute, timeZone);
+                const end = start + slotMs;
+                if (start < earliest) continue;
+
+                const overlapsBusy = busy.some(period => start < period.end + bufferMs && end > period.start - bufferMs);
+                if (!overlapsBusy) {
+                    slots.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+                }
+            }
+        });
+    }
+
+    return slots;
+};
+
+module.exports = { loadAvailability, listSlots, WEEKDAYS };
@@ -0,0 +1,79 @@
+/**
+ * Booking API
+ * Public discovery-call endpoints, mounted at /api:
+ *   GET    /availability    open slots
+ *   POST   /bookings        hold a slot while the contact form is filled in
+ *   DELETE /bookings/:id    release a hold (requires its holdToken)
+ * A hold becomes a booking when the contact form is submitted with it.
+ */
+
+const express = require('express');
+const { createTranslator } = require('../i18n');
+const { toPublicBooking } = require('./bookings');
+const { logger } = require('./logger');
+
+const isTimeZone = (value) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// translatorFor(req) gives the i18n.js translator for the visitor's language
+const createBookingRouter = (bookings, { timeZone, holdLimiter, translatorFor = () => createTranslator() }) => {
+    const router = express.Router();
+
+    router.get('/availability', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            timeZone,
+            slotMinutes: bookings.settings.slotMinutes,
+            holdMinutes: bookings.settings.holdMinutes,
+            slots: bookings.getSlots()
+        });
+    });
+
+    router.post('/bookings', holdLimiter, (req, res) => {
+        const { start, timeZone: visitorTimeZone } = req.body || {};
+        const t = translatorFor(req);
+
+        const result = bookings.hold(start, {
+            timeZone: typeof visitorTimeZone === 'string' && isTimeZone(visitorTimeZone) ? visitorTimeZone : null
+        });
+
+        if (result.reason === 'invalid') {
+            return res.status(400).json({ success: false, message: t('api.booking.invalid') });
+        }
+        if (result.reason === 'unavailable') {
+            return res.status(409).json({
+                success: false,
+                message: t('api.booking.taken'),
+                slots: bookings.getSlots()
+            });
+        }
+
+        logger.info('Booking slot held', { bookingId: result.booking.id, start: result.booking.start });
+        res.status(201).json({
+            success: true,
+            message: t('api.booking.held', { minutes: bookings.settings.holdMinutes }),
+            booking: toPublicBooking(result.booking),
+            holdToken: result.holdToken
+        });
+    });
+
+    router.delete('/bookings/:id', (req, res) => {
+        const { holdToken } = req.body || {};
+        const t = translatorFor(req);
+        if (!bookings.release(req.params.id, holdToken)) {
+            return res.status(404).json({ success: false, message: t('api.booking.notFound') });
+        }
+        res.json({ success: true, message: t('api.booking.released') });
+    });
+
+    return router;
+};
+
+module.exports = { createBookingRouter };
@@ -0,0 +1,147 @@
+/**
+ * Bookings
+ * Discovery-call scheduling on top of the availability rules.
+ *
+ * Picking a slot places a short hold on it (status "held") so two visitors
+ * can't fill in the form for the same time. Submitting the contact form
+ * confirms the hold; unconfirmed holds simply expire. Every booking is kept in
+ * its own append log.
+ */
+
+const crypto = require('crypto');
+const { createAppendLog } = require('./append-log');
+const { listSlots } = require('./availability');
+const { createCalendarInvite } = require('./ics');
+
+const BOOKING_STATUSES = ['held', 'confirmed', 'released', 'cancelled'];
+
+const tokensMatch = (provided, expected) => {
+    const a = Buffer.from(String(provided || ''));
+    const b = Buffer.from(String(expected || ''));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// What the public API may see - never the hold token
+const toPublicBooking = (booking) => ({
+    id: booking.id,
+    status: booking.status,
+    start: booking.start,
+    end: booking.end,
+    holdExpiresAt: booking.holdExpiresAt || null
+});
+
+const createBookingService = (filePath, { availability, timeZone }) => {
+    const store = createAppendLog(filePath, { idPrefix: 'bkg' });
+    const holdMs = availability.holdMinutes * 60 * 1000;
+
+    const blocksSlot = (booking, now) => booking.status === 'confirmed'
+        || (booking.status === 'held' && Date.parse(booking.holdExpiresAt) > now);
+
+    const busyPeriods = (now, exceptId) => store.list()
+        .filter(booking => booking.id !== exceptId && blocksSlot(booking, now))
+        .map(booking => ({ start: Date.parse(booking.start), end: Date.parse(booking.end) }));
+
+    const getSlots = ({ now = Date.now(), exceptId = null } = {}) => listSlots(availability, {
+        timeZone,
+        now,
+        busy: busyPeriods(now, exceptId)
+    });
+
+    const findSlot = (start, options) => {
+        const startMs = Date.parse(start);
+        if (Number.isNaN(startMs)) return null;
+        return getSlots(options).find(slot => Date.parse(slot.start) === startMs) || null;
+    };
+
+    // Hold a slot: { booking, holdToken } or { booking: null, reason: 'invalid' | 'unavailable' }.
+    // Check and create run synchronously, so two requests can't both win.
+    const hold = (start, { timeZone: visitorTimeZone = null } = {}) => {
+        if (!start || Number.isNaN(Date.parse(start))) {
+            return { booking: null, reason: 'invalid' };
+        }
+
+        const now = Date.now();
+        const slot = findSlot(start, { now });
+        if (!slot) {
+            return { booking: null, reason: 'unavailable' };
+        }
+
+        const holdToken = crypto.randomBytes(16).toString('hex');
+        const booking = store.create({
+            status: 'held',
+            start: slot.start,
+            end: slot.end,
+            holdToken,
+            holdExpiresAt: new Date(now + holdMs).toISOString(),
+            visitorTimeZone,
+            inquiryId: null,
+            attendee: null
+        });
+
+        return { booking, holdToken };
+    };
+
+    // Give up a hold early (the visitor picked a different time)
+    const release = (id, holdToken) => {
+        const booking = store.get(id);
+        if (!booking || booking.status !== 'held' || !tokensMatch(holdToken, booking.holdToken)) {
+            return null;
+        }
+        return store.update(id, { status: 'released', holdExpiresAt: null });
+    };
+
+    // Turn a hold into a booking: { booking } or { booking: null, reason: 'not-found' | 'unavailable' }.
+    // A hold that lapsed is still honoured if nobody else has taken the slot since.
+    const confirm = (id, holdToken, { name, email }) => {
+        const booking = store.get(id);
+        if (!booking || !tokensMatch(holdToken, booking.holdToken)) {
+            return { booking: null, reason: 'not-found' };
+        }
+        if (booking.status === 'confirmed') {
+            return { booking };
+        }
+
+        const now = Date.now();
+        const stillHeld = booking.status === 'held' && Date.parse(booking.holdExpiresAt) > now;
+        if (!stillHeld && (booking.status !== 'held' || !findSlot(booking.start, { now, exceptId: id }))) {
+            return { booking: null, reason: 'unavailable' };
+        }
+
+        return {
+            booking: store.update(id, {
+                status: 'confirmed',
+                confirmedAt: new Date(now).toISOString(),
+                holdExpiresAt: null,
+                attendee: { name, email }
+            })
+        };
+    };
+
+    const linkInquiry = (id, inquiryId) => store.update(id, { inquiryId });
+
+    // .ics invite for a confirmed booking
+    const createInvite = (booking, { organizer, summary, description, uidDomain }) => createCalendarInvite({
+        uid: `${booking.id}@${uidDomain}`,
+        start: booking.start,
+        end: booking.end,
+        summary,
+        description,
+        organizer,
+        attendee: booking.attendee
+    });
+
+    return {
+        filePath: store.filePath,
+        settings: availability,
+        getSlots,
+        hold,
+        release,
+        confirm,
+        linkInquiry,
+        createInvite,
+        get: store.get,
+        list: store.list
+    };
+};
+
+module.exports = { createBookingService, toPublicBooking, BOOKING_STATUSES };
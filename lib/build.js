@@ -0,0 +1,233 @@
+/**
+ * Site Build
+ * Produces the deployable static site in build/: minified JS and CSS with
+ * content-hashed filenames and source maps, HTML rewritten to point at them
+ * with the above-the-fold CSS inlined, the target environment's public config
+ * and the projects content baked in, each case study pre-rendered, and a
+ * service worker that precaches all of it for offline visits.
+ * Run through `node deploy.js --production`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const esbuild = require('esbuild');
+const postcss = require('postcss');
+const { loadProjects } = require('./projects');
+const caseStudy = require('../case-study');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ASSETS = ['styles.css', 'public-config.js', 'i18n.js', 'form-schema.js', 'case-study.js', 'outbox.js', 'script.js', 'admin.js'];
+// What the public pages load - precached by the service worker (the admin page isn't)
+const OFFLINE_ASSETS = ASSETS.filter(name => name !== 'admin.js');
+const SERVICE_WORKER = 'sw.js';
+const STATIC_FILES = ['netlify.toml'];
+const MANIFEST_FILE = 'asset-manifest.json';
+const CRITICAL_CSS_MARKER = '<!-- critical-css -->';
+
+const gzipSize = (content) => zlib.gzipSync(content).length;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// styles.css -> styles.3f9a1c20b7.css, so the file can be cached forever
+const fingerprint = (name, content) => {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+    const ext = path.extname(name);
+    return `${path.basename(name, ext)}.${hash}${ext}`;
+};
+
+// Minify, fingerprint and write one asset with its source map; returns its report entry.
+// keepName is for files that must stay at a fixed URL, banner is code to prepend.
+const buildAsset = (name, rootDir, outDir, { keepName = false, banner = '' } = {}) => {
+    const source = fs.readFileSync(path.join(rootDir, name), 'utf8');
+    const isCss = name.endsWith('.css');
+    const { code, map } = esbuild.transformSync(source, {
+        loader: isCss ? 'css' : 'js',
+        minify: true,
+        sourcemap: 'external',
+        sourcefile: name,
+        banner
+    });
+
+    const output = keepName ? name : fingerprint(name, code);
+    const mapComment = isCss ? `/*# sourceMappingURL=${output}.map */` : `//# sourceMappingURL=${output}.map`;
+    const content = `${code.trimEnd()}\n${mapComment}\n`;
+
+    fs.writeFileSync(path.join(outDir, output), content);
+    fs.writeFileSync(path.join(outDir, `${output}.map`), JSON.stringify({ ...JSON.parse(map), file: output }));
+
+    return {
+        file: name,
+        output,
+        sourceBytes: Buffer.byteLength(source),
+        outputBytes: Buffer.byteLength(content),
+        gzipBytes: gzipSize(content)
+    };
+};
+
+// src="/script.js" and href="styles.css" -> their fingerprinted names
+const rewriteReferences = (html, manifest) => Object.entries(manifest).reduce((result, [name, output]) => {
+    const pattern = new RegExp(`(\\s(?:src|href)=")(/?)${escapeRegExp(name)}"`, 'g');
+    return result.replace(pattern, (match, attribute, slash) => `${attribute}${slash}${output}"`);
+}, html);
+
+// Classes and ids used in a piece of markup, as ".name" and "#name"
+const collectTokens = (html) => {
+    const tokens = new Set();
+    for (const [, classes] of html.matchAll(/\sclass="([^"]*)"/g)) {
+        classes.split(/\s+/).filter(Boolean).forEach(name => tokens.add(`.${name}`));
+    }
+    for (const [, id] of html.matchAll(/\sid="([^"]*)"/g)) {
+        tokens.add(`#${id}`);
+    }
+    return tokens;
+};
+
+// A selector is needed when every class and id it requires appears in the markup.
+// Element-only selectors (html, body, h1, :root) always are.
+const selectorMatches = (selector, tokens) => {
+    const required = selector
+        .replace(/:not\([^)]*\)/g, '')
+        .replace(/\[[^\]]*\]/g, '')
+        .match(/[.#][\w-]+/g) || [];
+    return required.every(token => tokens.has(token));
+};
+
+/**
+ * extractCriticalCss(css, html)
+ * The rules of `css` that can apply to `html` (the markup visible on first
+ * paint), plus the keyframes they animate with, minified.
+ */
+const extractCriticalCss = (css, html) => {
+    const tokens = collectTokens(html);
+    const root = postcss.parse(css);
+    const animations = new Set();
+
+    root.walkRules(rule => {
+        if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+
+        const selectors = rule.selectors.filter(selector => selectorMatches(selector, tokens));
+        if (!selectors.length) {
+            rule.remove();
+            return;
+        }
+        rule.selectors = selectors;
+        rule.walkDecls(/^animation(-name)?$/, decl => {
+            decl.value.split(/[\s,]+/).forEach(word => animations.add(word));
+        });
+    });
+
+    root.walkAtRules(atRule => {
+        const unusedKeyframes = /keyframes$/i.test(atRule.name) && !animations.has(atRule.params);
+        if (unusedKeyframes || (atRule.nodes && !atRule.nodes.length)) {
+            atRule.remove();
+        }
+    });
+
+    return esbuild.transformSync(root.toString(), { loader: 'css', minify: true }).code.trim();
+};
+
+// Markup before the first <script> tag, which is where the full stylesheet
+// and baked data go so they're in place before the scripts run
+const insertBeforeScripts = (html, markup) => html.replace(/(\s*)<script\b/, (match, space) => `${space}${markup}${match}`);
+
+const writePage = (outDir, urlPath, html) => {
+    const pageDir = path.join(outDir, urlPath);
+    fs.mkdirSync(pageDir, { recursive: true });
+    fs.writeFileSync(path.join(pageDir, 'index.html'), html);
+};
+
+// JSON for a <script type="application/json"> block - "<" can't close the tag early
+const jsonScript = (id, value) => `<script id="${id}" type="application/json">${JSON.stringify(value).replace(/</g, '\\u003c')}</script>`;
+
+/**
+ * buildSite({ rootDir, outDir, publicConfig })
+ * Replaces outDir with a fresh build. publicConfig is what public-config.js
+ * reads in the browser (see lib/environments.js). Returns
+ * { outDir, manifest, assets, pages } where assets and pages carry the sizes
+ * for the report.
+ */
+const buildSite = ({ rootDir = ROOT_DIR, outDir = path.join(rootDir, 'build'), publicConfig }) => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const assets = ASSETS.map(name => buildAsset(name, rootDir, outDir));
+    const manifest = Object.fromEntries(assets.map(asset => [asset.file, asset.output]));
+    fs.writeFileSync(path.join(outDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+    STATIC_FILES.forEach(file => fs.copyFileSync(path.join(rootDir, file), path.join(outDir, file)));
+
+    const pages = [];
+    const addPage = (file, source, html) => pages.push({
+        file,
+        sourceBytes: Buffer.byteLength(source),
+        outputBytes: Buffer.byteLength(html),
+        gzipBytes: gzipSize(html)
+    });
+
+    const adminSource = fs.readFileSync(path.join(rootDir, 'admin.html'), 'utf8');
+    const adminHtml = insertBeforeScripts(rewriteReferences(adminSource, manifest), jsonScript('public-config', publicConfig));
+    fs.writeFileSync(path.join(outDir, 'admin.html'), adminHtml);
+    addPage('admin.html', adminSource, adminHtml);
+
+    // index.html: the stylesheet moves to the end of <body>, with the CSS its
+    // first screen needs inlined in its place so the page paints without waiting for it
+    const indexSource = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    const stylesheet = `<link rel="stylesheet" href="/${manifest['styles.css']}">`;
+    const projects = loadProjects(path.join(rootDir, 'content', 'projects.json'));
+
+    let template = rewriteReferences(indexSource, manifest).replace(stylesheet, CRITICAL_CSS_MARKER);
+    template = insertBeforeScripts(template, stylesheet);
+    template = insertBeforeScripts(template, jsonScript('public-config', publicConfig));
+    template = insertBeforeScripts(template, jsonScript('projects-data', projects));
+
+    const css = fs.readFileSync(path.join(rootDir, 'styles.css'), 'utf8');
+    const withCriticalCss = (html, aboveTheFold) => html.replace(
+        CRITICAL_CSS_MARKER,
+        () => `<style>${extractCriticalCss(css, aboveTheFold)}</style>`
+    );
+
+    const bodyStart = template.indexOf('<body');
+    const heroEnd = template.indexOf('</section>', bodyStart) + '</section>'.length;
+    const indexHtml = withCriticalCss(template, template.slice(bodyStart, heroEnd));
+    writePage(outDir, '/', indexHtml);
+    addPage('index.html', indexSource, indexHtml);
+    const offlinePages = [{ url: '/', html: indexHtml }];
+
+    // Each case study at /work/<slug>/index.html, so deep links arrive with
+    // their content (and title) before any JavaScript runs
+    const nav = (template.match(/<nav\b[\s\S]*?<\/nav>/) || [''])[0];
+    projects.projects.filter(project => project.caseStudy).forEach(project => {
+        const section = `<section id="case-study" class="case-study">${caseStudy.render(project, projects.categories)}</section>`;
+        const page = template
+            .replace(/<title>[^<]*<\/title>/, () => `<title>${caseStudy.escapeHtml(caseStudy.pageTitle(project))}</title>`)
+            .replace(/<meta name="description" content="[^"]*">/, () => `<meta name="description" content="${caseStudy.escapeHtml(project.summary)}">`)
+            .replace('<body>', '<body class="case-study-open">')
+            .replace('<section id="case-study" class="case-study" hidden></section>', () => section);
+
+        const html = withCriticalCss(page, `<body class="case-study-open">${nav}${section}`);
+        writePage(outDir, caseStudy.pathFor(project.slug), html);
+        addPage(`${caseStudy.pathFor(project.slug).slice(1)}/index.html`, indexSource, html);
+        offlinePages.push({ url: `${caseStudy.pathFor(project.slug)}/`, html });
+    });
+
+    // sw.js keeps its name - browsers check the same URL for updates - and gets
+    // the list to precache. Its version changes whenever any page or asset does,
+    // which is what makes browsers install the new one.
+    const precacheUrls = offlinePages.map(page => page.url).concat(OFFLINE_ASSETS.map(name => `/${manifest[name]}`));
+    const version = crypto.createHash('sha256')
+        .update(JSON.stringify(precacheUrls))
+        .update(offlinePages.map(page => page.html).join(''))
+        .digest('hex')
+        .slice(0, 10);
+    const precache = { version, urls: precacheUrls, outbox: `/${manifest['outbox.js']}` };
+    assets.push(buildAsset(SERVICE_WORKER, rootDir, outDir, {
+        keepName: true,
+        banner: `self.PRECACHE = ${JSON.stringify(precache)};`
+    }));
+
+    return { outDir, manifest, assets, pages };
+};
+
+module.exports = { buildSite, extractCriticalCss, rewriteReferences, fingerprint, MANIFEST_FILE };
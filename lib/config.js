@@ -0,0 +1,240 @@
+/**
+ * Configuration
+ * Loads .env, validates every setting against a schema and exposes one
+ * typed config object to the rest of the server.
+ *
+ * All problems are collected and reported together so a bad deploy fails
+ * at startup with a readable list instead of at the first contact submission.
+ */
+
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const ENVIRONMENTS = ['development', 'test', 'staging', 'production'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Parsers return the typed value or throw with a short reason
+const types = {
+    string: (value) => value,
+    integer: (value, { min = -Infinity }) => {
+        if (!/^-?\d+$/.test(value)) throw new Error('must be a whole number');
+        const number = parseInt(value, 10);
+        if (number < min) throw new Error(`must be at least ${min}`);
+        return number;
+    },
+    boolean: (value) => {
+        if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+        if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+        throw new Error('must be true or false');
+    },
+    enum: (value, { values }) => {
+        if (!values.includes(value)) throw new Error(`must be one of: ${values.join(', ')}`);
+        return value;
+    },
+    email: (value) => {
+        if (!EMAIL_PATTERN.test(value)) throw new Error('must be an email address');
+        return value;
+    },
+    list: (value) => value.split(',').map(item => item.trim()).filter(Boolean),
+    origins: (value) => {
+        const origins = types.list(value);
+        origins.forEach(origin => {
+            if (!/^https?:\/\/[^/\s]+$/.test(origin)) throw new Error(`"${origin}" is not an origin like https://example.com`);
+        });
+        return origins;
+    },
+    timezone: (value) => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+        } catch (error) {
+            throw new Error('must be an IANA timezone such as America/New_York');
+        }
+        return value;
+    }
+};
+
+// Every environment variable the server reads
+const SCHEMA = {
+    NODE_ENV: { type: 'enum', values: ENVIRONMENTS, default: 'development' },
+    PORT: { type: 'integer', min: 1, default: '3000' },
+
+    // Who receives inquiries and who the emails come from
+    CONTACT_RECIPIENT_EMAIL: { type: 'email', default: 'abhishek.dev694@gmail.com' },
+    SENDER_EMAIL: { type: 'email', fallback: 'EMAIL_USER' },
+    SENDER_NAME: { type: 'string', default: 'Abhishek Goel - Web Developer' },
+    TIMEZONE: { type: 'timezone', default: 'America/New_York' },
+
+    // Extra origins on top of the site origins in config/environments.json
+    CORS_ORIGINS: { type: 'origins', default: '' },
+    RATE_LIMIT_WINDOW_MINUTES: { type: 'integer', min: 1, default: '60' },
+    RATE_LIMIT_MAX: { type: 'integer', min: 1, default: '5' },
+
+    // Mail transport
+    MAIL_TRANSPORT: { type: 'enum', values: ['sendgrid', 'smtp', 'file'] },
+    SENDGRID_EMAIL_KEY: { type: 'string' },
+    SMTP_HOST: { type: 'string' },
+    SMTP_PORT: { type: 'integer', min: 1, default: '587' },
+    SMTP_SECURE: { type: 'boolean', default: 'false' },
+    SMTP_USER: { type: 'string' },
+    SMTP_PASSWORD: { type: 'string' },
+    MAIL_OUTBOX_DIR: { type: 'string', default: path.join(ROOT_DIR, 'data', 'outbox') },
+
+    // Storage and queue
+    INQUIRY_STORE_PATH: { type: 'string', default: path.join(ROOT_DIR, 'data', 'inquiries.jsonl') },
+    EMAIL_QUEUE_PATH: { type: 'string', default: path.join(ROOT_DIR, 'data', 'email-queue.jsonl') },
+    UPLOAD_DIR: { type: 'string', default: path.join(ROOT_DIR, 'data', 'uploads') },
+    BOOKING_STORE_PATH: { type: 'string', default: path.join(ROOT_DIR, 'data', 'bookings.jsonl') },
+    EMAIL_QUEUE_MAX_ATTEMPTS: { type: 'integer', min: 1, default: '6' },
+    EMAIL_QUEUE_BASE_DELAY_MS: { type: 'integer', min: 1, default: '30000' },
+    HEALTH_MAX_QUEUE_DEPTH: { type: 'integer', min: 1, default: '100' },
+
+    // Discovery-call booking - working hours and blocked dates live in the availability file
+    AVAILABILITY_PATH: { type: 'string', default: path.join(ROOT_DIR, 'config', 'availability.json') },
+    BOOKING_HOLD_RATE_LIMIT_MAX: { type: 'integer', min: 1, default: '20' },
+
+    // Serve the built frontend (npm run build) from this server as well as the API
+    SERVE_FRONTEND: { type: 'boolean', default: 'false' },
+    FRONTEND_DIR: { type: 'string', default: path.join(ROOT_DIR, 'build') },
+
+    // Admin, metrics and dev tooling
+    ADMIN_TOKEN: { type: 'string' },
+    METRICS_TOKEN: { type: 'string' },
+    ENABLE_DEV_ROUTES: { type: 'boolean' },
+
+    // Logging - JSON lines when deployed, readable lines locally
+    LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'] },
+
+    // Spam protection
+    FORM_TOKEN_SECRET: { type: 'string' },
+    SPAM_MIN_FORM_SECONDS: { type: 'integer', min: 0, default: '3' },
+    SPAM_SCORE_THRESHOLD: { type: 'integer', min: 1, default: '5' },
+    SPAM_BLOCKLIST: { type: 'list', default: '' }
+};
+
+const parseEnv = (env) => {
+    const values = {};
+    const errors = [];
+
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+        let raw = env[key];
+        if ((raw === undefined || raw === '') && rule.fallback) {
+            raw = env[rule.fallback];
+        }
+        if (raw === undefined || raw === '') {
+            raw = rule.default;
+        }
+        if (raw === undefined) {
+            values[key] = undefined;
+            continue;
+        }
+
+        try {
+            values[key] = types[rule.type](String(raw).trim(), rule);
+        } catch (error) {
+            errors.push(`${key} ${error.message} (got "${raw}")`);
+        }
+    }
+
+    return { values, errors };
+};
+
+const loadConfig = (env = process.env) => {
+    if (env === process.env) {
+        require('dotenv').config({ path: path.join(ROOT_DIR, '.env') });
+    }
+
+    const { values: v, errors } = parseEnv(env);
+
+    const isDeployed = v.NODE_ENV === 'production' || v.NODE_ENV === 'staging';
+    const mailTransport = v.MAIL_TRANSPORT || (v.SENDGRID_EMAIL_KEY || isDeployed ? 'sendgrid' : 'file');
+
+    // Cross-field rules
+    if (mailTransport === 'sendgrid' && !v.SENDGRID_EMAIL_KEY && isDeployed) {
+        errors.push('SENDGRID_EMAIL_KEY is required when MAIL_TRANSPORT is sendgrid');
+    }
+    if (mailTransport === 'smtp' && !v.SMTP_HOST) {
+        errors.push('SMTP_HOST is required when MAIL_TRANSPORT is smtp');
+    }
+    if (mailTransport === 'file' && isDeployed && v.MAIL_TRANSPORT !== 'file') {
+        errors.push('MAIL_TRANSPORT must be set explicitly to use the file transport outside development');
+    }
+
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+
+    const senderEmail = v.SENDER_EMAIL || v.CONTACT_RECIPIENT_EMAIL;
+
+    return Object.freeze({
+        env: v.NODE_ENV,
+        isDeployed,
+        port: v.PORT,
+        recipientEmail: v.CONTACT_RECIPIENT_EMAIL,
+        sender: { email: senderEmail, name: v.SENDER_NAME },
+        timezone: v.TIMEZONE,
+        extraOrigins: v.CORS_ORIGINS,
+        rateLimit: {
+            windowMs: v.RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+            max: v.RATE_LIMIT_MAX
+        },
+        mail: {
+            transport: mailTransport,
+            sendgrid: { apiKey: v.SENDGRID_EMAIL_KEY },
+            smtp: {
+                host: v.SMTP_HOST,
+                port: v.SMTP_PORT,
+                secure: v.SMTP_SECURE,
+                user: v.SMTP_USER,
+                password: v.SMTP_PASSWORD
+            },
+            file: { outboxDir: v.MAIL_OUTBOX_DIR }
+        },
+        storage: {
+            inquiryStorePath: v.INQUIRY_STORE_PATH,
+            emailQueuePath: v.EMAIL_QUEUE_PATH,
+            uploadDir: v.UPLOAD_DIR,
+            bookingStorePath: v.BOOKING_STORE_PATH
+        },
+        bookings: {
+            availabilityPath: v.AVAILABILITY_PATH,
+            // Slot holds per rate-limit window per IP
+            holdRateLimitMax: v.BOOKING_HOLD_RATE_LIMIT_MAX
+        },
+        queue: {
+            maxAttempts: v.EMAIL_QUEUE_MAX_ATTEMPTS,
+            baseDelayMs: v.EMAIL_QUEUE_BASE_DELAY_MS,
+            // Readiness fails once this many emails are waiting to send
+            maxHealthyDepth: v.HEALTH_MAX_QUEUE_DEPTH
+        },
+        logging: {
+            level: v.LOG_LEVEL,
+            format: v.LOG_FORMAT || (isDeployed ? 'json' : 'pretty')
+        },
+        frontend: {
+            enabled: v.SERVE_FRONTEND,
+            dir: path.resolve(ROOT_DIR, v.FRONTEND_DIR)
+        },
+        adminToken: v.ADMIN_TOKEN || null,
+        metricsToken: v.METRICS_TOKEN || null,
+        devRoutesEnabled: v.ENABLE_DEV_ROUTES !== undefined ? v.ENABLE_DEV_ROUTES : !isDeployed,
+        spam: {
+            formTokenSecret: v.FORM_TOKEN_SECRET || null,
+            minFormAgeMs: v.SPAM_MIN_FORM_SECONDS * 1000,
+            maxFormAgeMs: 24 * 60 * 60 * 1000,
+            scoreThreshold: v.SPAM_SCORE_THRESHOLD,
+            extraBlocklist: v.SPAM_BLOCKLIST
+        }
+    });
+};
+
+module.exports = { loadConfig, ConfigError, SCHEMA };
@@ -0,0 +1,117 @@
+/**
+ * Dev Template Routes
+ * Preview and test-send email templates without submitting the live form.
+ * Mounted at /api/dev outside production only.
+ */
+
+const express = require('express');
+const helmet = require('helmet');
+const {
+    loadTemplate,
+    renderTemplate,
+    listTemplates,
+    buildSampleVariables,
+    FORMATS
+} = require('./email-templates');
+
+const CONTENT_TYPES = {
+    html: 'text/html; charset=utf-8',
+    txt: 'text/plain; charset=utf-8'
+};
+
+// Email templates are styled inline for mail clients - under the site's CSP
+// (no inline styles) the previews would render unstyled
+const previewPolicy = helmet.contentSecurityPolicy({
+    useDefaults: false,
+    directives: {
+        defaultSrc: ["'none'"],
+        styleSrc: ["'unsafe-inline'"],
+        imgSrc: ['data:', 'https:'],
+        frameAncestors: ["'none'"]
+    }
+});
+
+const createDevRouter = ({ mailTransport }) => {
+    const router = express.Router();
+
+    const findTemplate = (req, res, next) => {
+        if (!listTemplates().includes(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                message: `Unknown template "${req.params.name}". Available: ${listTemplates().join(', ')}`
+            });
+        }
+        next();
+    };
+
+    // Render with sample variables, overridden by a JSON body if one is sent
+    const render = (name, format, overrides) => renderTemplate(
+        loadTemplate(name, format),
+        buildSampleVariables(overrides),
+        format,
+        name
+    );
+
+    const preview = (req, res) => {
+        const format = req.query.format || 'html';
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of: ${FORMATS.join(', ')}`
+            });
+        }
+
+        try {
+            res.type(CONTENT_TYPES[format]).send(render(req.params.name, format, req.body));
+        } catch (error) {
+            res.status(422).json({ success: false, message: error.message });
+        }
+    };
+
+    // List templates and the sample variables they render with
+    router.get('/templates', (req, res) => {
+        res.json({
+            success: true,
+            templates: listTemplates(),
+            formats: FORMATS,
+            sampleVariables: buildSampleVariables()
+        });
+    });
+
+    router.get('/templates/:name', findTemplate, previewPolicy, preview);
+    router.post('/templates/:name', findTemplate, previewPolicy, preview);
+
+    // Render both formats and send them through the configured transport
+    router.post('/templates/:name/send', findTemplate, async (req, res) => {
+        const { to, variables } = req.body || {};
+        if (!to) {
+            return res.status(400).json({ success: false, message: 'Please provide a "to" address.' });
+        }
+
+        let html;
+        let text;
+        try {
+            html = render(req.params.name, 'html', variables);
+            text = render(req.params.name, 'txt', variables);
+        } catch (error) {
+            return res.status(422).json({ success: false, message: error.message });
+        }
+
+        try {
+            await mailTransport.send({
+                from: `"Portfolio Template Test" <${buildSampleVariables(variables).DEVELOPER_EMAIL}>`,
+                to,
+                subject: `[Template test] ${req.params.name}`,
+                html,
+                text
+            });
+            res.json({ success: true, message: `Sent ${req.params.name} to ${to} via ${mailTransport.describe()}` });
+        } catch (error) {
+            res.status(502).json({ success: false, message: `Send failed: ${error.message}`, code: error.code || null });
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createDevRouter };
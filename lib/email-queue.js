@@ -0,0 +1,189 @@
+/**
+ * Email Queue
+ * Persistent outbound email queue with exponential backoff and a
+ * dead-letter list.
+ *
+ * Jobs live in an append log, so anything queued before a restart is picked
+ * up again on boot. Each job keeps its full attempt history; once it runs
+ * out of attempts it is marked `dead` and stays there until replayed.
+ */
+
+const { createAppendLog } = require('./append-log');
+const { logger } = require('./logger');
+
+const JOB_STATUSES = ['pending', 'sent', 'dead'];
+
+const createEmailQueue = (filePath, options) => {
+    const {
+        send,
+        maxAttempts = 6,
+        baseDelayMs = 30 * 1000,
+        maxDelayMs = 60 * 60 * 1000,
+        pollIntervalMs = 5 * 1000,
+        onSent = () => {},
+        onAttemptFailed = () => {},
+        onDead = () => {}
+    } = options;
+
+    const jobs = createAppendLog(filePath, { idPrefix: 'msg' });
+    let timer = null;
+    // The pass in progress, and whether processDue was called again during it
+    let running = null;
+    let rerun = false;
+
+    // 30s, 1m, 2m, 4m ... capped at maxDelayMs
+    const backoffDelay = (attemptCount) => Math.min(baseDelayMs * 2 ** (attemptCount - 1), maxDelayMs);
+
+    const isDue = (job) => job.status === 'pending' && new Date(job.nextAttemptAt) <= new Date();
+
+    const attempt = async (job) => {
+        const startedAt = new Date();
+
+        try {
+            await send(job.mailOptions);
+        } catch (error) {
+            const attempts = [...job.attempts, {
+                at: startedAt.toISOString(),
+                success: false,
+                error: error.message,
+                code: error.code || null
+            }];
+
+            if (attempts.length >= (job.maxAttempts || maxAttempts)) {
+                const dead = jobs.update(job.id, { status: 'dead', attempts, deadAt: new Date().toISOString() });
+                logger.error('Email moved to dead-letter', {
+                    jobId: job.id,
+                    kind: job.kind,
+                    inquiryId: job.inquiryId,
+                    attempts: attempts.length,
+                    error: error.message,
+                    code: error.code
+                });
+                onDead(dead, error);
+            } else {
+                const nextAttemptAt = new Date(Date.now() + backoffDelay(attempts.length)).toISOString();
+                const retrying = jobs.update(job.id, { attempts, nextAttemptAt });
+                logger.warn('Email attempt failed, will retry', {
+                    jobId: job.id,
+                    kind: job.kind,
+                    inquiryId: job.inquiryId,
+                    attempt: attempts.length,
+                    nextAttemptAt,
+                    error: error.message,
+                    code: error.code
+                });
+                onAttemptFailed(retrying, error);
+            }
+            return;
+        }
+
+        const attempts = [...job.attempts, { at: startedAt.toISOString(), success: true }];
+        const sent = jobs.update(job.id, { status: 'sent', attempts, sentAt: new Date().toISOString() });
+        logger.info('Email sent', { jobId: job.id, kind: job.kind, inquiryId: job.inquiryId, attempt: attempts.length });
+        onSent(sent);
+    };
+
+    // Send every job that is due, oldest first, one at a time - again if more
+    // were queued while that was going on
+    const runPasses = async () => {
+        try {
+            do {
+                rerun = false;
+                // Sorted rather than reversed, so jobs queued in the same millisecond keep their order
+                const due = jobs.list().filter(isDue).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+                for (const job of due) {
+                    await attempt(job);
+                }
+            } while (rerun);
+        } catch (error) {
+            logger.error('Email queue processing error', { error });
+        }
+    };
+
+    // A call while a pass is running gets that pass's promise and asks for another
+    const processDue = () => {
+        if (running) {
+            rerun = true;
+            return running;
+        }
+        running = runPasses().finally(() => {
+            running = null;
+        });
+        return running;
+    };
+
+    // Send new work straight away - only once started, so an unstarted queue
+    // (tests, scripts) sends nothing until processDue() is called
+    const wake = () => {
+        if (timer) setImmediate(processDue);
+    };
+
+    const enqueue = (kind, mailOptions, meta = {}) => {
+        const job = jobs.create({
+            kind,
+            status: 'pending',
+            mailOptions,
+            attempts: [],
+            nextAttemptAt: new Date().toISOString(),
+            ...meta
+        });
+        wake();
+        return job;
+    };
+
+    // Put a dead (or any unsent) job back in line, keeping its attempt history
+    const replay = (id) => {
+        const job = jobs.get(id);
+        if (!job || job.status === 'sent') {
+            return null;
+        }
+        const replayed = jobs.update(id, {
+            status: 'pending',
+            nextAttemptAt: new Date().toISOString(),
+            replayedAt: new Date().toISOString(),
+            // Give the job a fresh set of attempts on top of its history
+            maxAttempts: job.attempts.length + maxAttempts
+        });
+        wake();
+        return replayed;
+    };
+
+    const replayDead = () => jobs.list()
+        .filter(job => job.status === 'dead')
+        .map(job => replay(job.id));
+
+    const list = (status) => jobs.list().filter(job => !status || job.status === status);
+
+    const stats = () => {
+        const counts = { pending: 0, sent: 0, dead: 0 };
+        jobs.list().forEach(job => { counts[job.status] += 1; });
+        return counts;
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(processDue, pollIntervalMs);
+        timer.unref();
+        setImmediate(processDue);
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        filePath: jobs.filePath,
+        enqueue,
+        replay,
+        replayDead,
+        get: jobs.get,
+        list,
+        stats,
+        start,
+        stop,
+        processDue
+    };
+};
+
+module.exports = { createEmailQueue, JOB_STATUSES };
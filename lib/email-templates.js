@@ -0,0 +1,191 @@
+/**
+ * Email Templates
+ * Handlebars rendering for templates/emails.
+ *
+ * .html templates are HTML-escaped, .txt templates are rendered as-is.
+ * Partials live in templates/emails/partials/<name>.<format> and are shared
+ * by every template of that format. Rendering is strict: referencing a
+ * variable that wasn't supplied throws instead of printing an empty string.
+ *
+ * A template can have translations alongside it, named <name>.<locale>.<format>
+ * (auto-reply.es.html); renderEmail picks the one for the recipient's locale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { logger } = require('./logger');
+const contactFormSchema = require('../form-schema');
+const i18n = require('../i18n');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
+const FORMATS = ['html', 'txt'];
+
+// One Handlebars environment per format so html and txt partials don't collide
+const environments = {};
+
+const getEnvironment = (format) => {
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unsupported template format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+    }
+
+    if (!environments[format]) {
+        const env = Handlebars.create();
+        if (fs.existsSync(PARTIALS_DIR)) {
+            fs.readdirSync(PARTIALS_DIR)
+                .filter(file => path.extname(file) === `.${format}`)
+                .forEach(file => {
+                    const name = path.basename(file, `.${format}`);
+                    env.registerPartial(name, fs.readFileSync(path.join(PARTIALS_DIR, file), 'utf8'));
+                });
+        }
+        environments[format] = env;
+    }
+
+    return environments[format];
+};
+
+// Template names available for rendering (partials excluded)
+const listTemplates = () => {
+    const names = fs.readdirSync(TEMPLATES_DIR)
+        .filter(file => FORMATS.includes(path.extname(file).slice(1)))
+        .map(file => path.basename(file, path.extname(file)));
+    return Array.from(new Set(names)).sort();
+};
+
+const loadTemplate = (templateName, format = 'html') => {
+    const templatePath = path.join(TEMPLATES_DIR, `${templateName}.${format}`);
+    try {
+        return fs.readFileSync(templatePath, 'utf8');
+    } catch (error) {
+        logger.error('Error loading email template', { template: `${templateName}.${format}`, error: error.message });
+        throw new Error(`Template ${templateName}.${format} not found`);
+    }
+};
+
+const renderTemplate = (template, variables, format = 'html', templateName = 'template') => {
+    const env = getEnvironment(format);
+    try {
+        const compiled = env.compile(template, {
+            strict: true,
+            noEscape: format === 'txt'
+        });
+        return compiled(variables);
+    } catch (error) {
+        // Handlebars reports strict-mode misses as `"KEY" not defined in [object Object] - line:col`
+        const missing = error.message.match(/^"(.+)" not defined in .* - (\d+):(\d+)$/);
+        if (missing) {
+            throw new Error(`Template ${templateName}.${format} references unknown variable "${missing[1]}" (line ${missing[2]}, column ${missing[3]})`);
+        }
+        throw new Error(`Failed to render ${templateName}.${format}: ${error.message}`);
+    }
+};
+
+const formatSubmissionTime = (date, timeZone) => date.toLocaleString('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+});
+
+// "Wednesday, June 5 at 10:00 AM EDT" - or "mercredi 5 juin à 10:00 UTC−4" in French
+const formatCallTime = (start, timeZone, locale = 'en-US') => new Date(start).toLocaleString(locale, {
+    timeZone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+});
+
+// Variables every inquiry email template can reference. locale is the
+// recipient's language, for what the client sees (their budget and call time).
+const buildInquiryVariables = (inquiry, { developerEmail, timeZone = 'America/New_York', submittedAt = new Date(), locale = i18n.DEFAULT_LOCALE }) => {
+    const translate = i18n.createTranslator(locale);
+
+    return {
+        CLIENT_NAME: inquiry.name,
+        CLIENT_EMAIL: inquiry.email,
+        CLIENT_BUDGET: inquiry.budget ? translate(`form.fields.budget.options.${inquiry.budget}`) : null,
+        CLIENT_MESSAGE: inquiry.message,
+        // Every form field except the message, in schema order, so new fields appear automatically
+        CLIENT_DETAILS: contactFormSchema.fields
+            .filter(field => field.name !== 'message')
+            .map(field => {
+                const value = inquiry[field.name];
+                return {
+                    label: field.summaryLabel || field.label,
+                    value: value ? contactFormSchema.getOptionLabel(field.name, value) : 'Not specified',
+                    href: field.type === 'email' && value ? `mailto:${value}` : null
+                };
+            }),
+        // Files uploaded with the inquiry - the notification email carries them as attachments
+        CLIENT_ATTACHMENTS: (inquiry.attachments || []).map(attachment => ({
+            name: attachment.fileName,
+            size: contactFormSchema.formatFileSize(attachment.size)
+        })),
+        // Discovery call booked with the inquiry - the emails also carry an .ics invite
+        CLIENT_BOOKING: inquiry.booking ? {
+            time: formatCallTime(inquiry.booking.start, timeZone),
+            visitorTime: formatCallTime(inquiry.booking.start, inquiry.booking.visitorTimeZone || timeZone, translate.locale),
+            minutes: Math.round((Date.parse(inquiry.booking.end) - Date.parse(inquiry.booking.start)) / 60000)
+        } : null,
+        DEVELOPER_EMAIL: developerEmail,
+        SUBMISSION_TIME: formatSubmissionTime(submittedAt, timeZone)
+    };
+};
+
+// Stand-in inquiry for previews and rendered snapshots
+const SAMPLE_INQUIRY = {
+    name: 'Jane Cooper',
+    email: 'jane@example.com',
+    budget: '10k-25k',
+    message: 'Hi Abhishek,\n\nWe run a small bakery chain and need an online ordering site with pickup scheduling.\nCan we talk next week?',
+    attachments: [
+        { fileName: 'ordering-site-brief.pdf', mimeType: 'application/pdf', size: 248320 }
+    ],
+    booking: {
+        start: '2024-06-05T14:00:00.000Z',
+        end: '2024-06-05T14:30:00.000Z',
+        visitorTimeZone: 'America/Chicago'
+    }
+};
+
+const buildSampleVariables = (overrides = {}) => ({
+    ...buildInquiryVariables(SAMPLE_INQUIRY, {
+        developerEmail: 'abhishek.dev694@gmail.com',
+        submittedAt: new Date('2024-06-03T15:30:00Z')
+    }),
+    ...overrides
+});
+
+// auto-reply in "fr" -> auto-reply.fr when that translation exists, otherwise auto-reply
+const localizedTemplateName = (templateName, locale) => {
+    const variant = `${templateName}.${locale}`;
+    return locale && locale !== i18n.DEFAULT_LOCALE && listTemplates().includes(variant) ? variant : templateName;
+};
+
+// Render both formats of a template, in the recipient's locale if given: { html, text }
+const renderEmail = (templateName, variables, { locale } = {}) => {
+    const name = localizedTemplateName(templateName, locale);
+    return {
+        html: renderTemplate(loadTemplate(name, 'html'), variables, 'html', name),
+        text: renderTemplate(loadTemplate(name, 'txt'), variables, 'txt', name)
+    };
+};
+
+module.exports = {
+    loadTemplate,
+    renderTemplate,
+    renderEmail,
+    listTemplates,
+    buildInquiryVariables,
+    buildSampleVariables,
+    FORMATS,
+    TEMPLATES_DIR
+};
@@ -0,0 +1,140 @@
+/**
+ * Environments
+ * Per-target site settings from config/environments.json - where the site is
+ * served from and where its API lives - for local, preview (Netlify deploy
+ * previews) and production. The build injects one target's public config into
+ * the pages; the server allows the matching site origins through CORS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./config');
+const { isLocalHost } = require('../public-config');
+
+const ENVIRONMENTS_PATH = path.join(__dirname, '..', 'config', 'environments.json');
+const BUILD_TARGETS = ['local', 'preview', 'production'];
+
+// Origins may use * for one run of host characters, e.g. https://*--site.netlify.app
+const ORIGIN_PATTERN = /^https?:\/\/[^/\s]+$/;
+
+// Which targets' sites each NODE_ENV serves
+const SERVER_TARGETS = {
+    development: ['local'],
+    test: ['local'],
+    staging: ['preview'],
+    production: ['production']
+};
+
+// Netlify sets CONTEXT on its builds
+const NETLIFY_CONTEXTS = {
+    production: 'production',
+    'deploy-preview': 'preview',
+    'branch-deploy': 'preview',
+    dev: 'local'
+};
+
+// Read and validate the environments file, reporting every problem at once
+const loadEnvironments = (filePath = ENVIRONMENTS_PATH) => {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`Could not read environments file ${filePath}: ${error.message}`]);
+    }
+
+    const errors = [];
+    BUILD_TARGETS.forEach(target => {
+        const settings = raw[target];
+        if (!settings || typeof settings !== 'object') {
+            errors.push(`environments.${target} is missing`);
+            return;
+        }
+        if (typeof settings.siteUrl !== 'string' || !/^https?:\/\/\S+$/.test(settings.siteUrl)) {
+            errors.push(`environments.${target}.siteUrl must be an http(s) URL`);
+        }
+        if (settings.apiBase !== null && (typeof settings.apiBase !== 'string' || (settings.apiBase && !/^https?:\/\/\S+$/.test(settings.apiBase)))) {
+            errors.push(`environments.${target}.apiBase must be an http(s) URL, "" (same origin) or null (this host, port 3000)`);
+        }
+        if (!Array.isArray(settings.siteOrigins) || settings.siteOrigins.some(origin => !ORIGIN_PATTERN.test(origin))) {
+            errors.push(`environments.${target}.siteOrigins must be a list of origins like https://example.com`);
+        }
+    });
+
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+    return raw;
+};
+
+// --target=<name>, then BUILD_TARGET, then Netlify's CONTEXT, then production
+const resolveBuildTarget = (argv = process.argv, env = process.env) => {
+    const flag = argv.find(arg => arg.startsWith('--target='));
+    const target = (flag && flag.slice('--target='.length)) || env.BUILD_TARGET || NETLIFY_CONTEXTS[env.CONTEXT] || 'production';
+    if (!BUILD_TARGETS.includes(target)) {
+        throw new ConfigError([`Build target "${target}" must be one of: ${BUILD_TARGETS.join(', ')}`]);
+    }
+    return target;
+};
+
+/**
+ * publicConfigFor(environments, target, env)
+ * What the build injects into the pages. API_BASE_URL overrides the target's
+ * apiBase, e.g. to point a preview at a staging API.
+ */
+const publicConfigFor = (environments, target, env = process.env) => {
+    const { siteUrl, apiBase } = environments[target];
+    const override = env.API_BASE_URL;
+    if (override && !/^https?:\/\/\S+$/.test(override)) {
+        throw new ConfigError([`API_BASE_URL must be an http(s) URL (got "${override}")`]);
+    }
+    return { environment: target, siteUrl, apiBase: override || apiBase };
+};
+
+const toOriginTest = (pattern) => {
+    if (!pattern.includes('*')) return (origin) => origin === pattern;
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/.]+');
+    const regex = new RegExp(`^${source}$`);
+    return (origin) => regex.test(origin);
+};
+
+/**
+ * createOriginMatcher(patterns, { allowLocalNetwork })
+ * For the cors middleware's `origin` option. allowLocalNetwork also lets in
+ * any localhost or private network origin, so the site can be opened from
+ * 127.0.0.1 or another device on the LAN during development.
+ */
+const createOriginMatcher = (patterns, { allowLocalNetwork = false } = {}) => {
+    const tests = patterns.map(toOriginTest);
+
+    const isAllowed = (origin) => {
+        if (tests.some(test => test(origin))) return true;
+        if (!allowLocalNetwork) return false;
+        try {
+            return isLocalHost(new URL(origin).hostname);
+        } catch (error) {
+            return false;
+        }
+    };
+
+    // Requests without an Origin (curl, same-origin) aren't cross-origin, so CORS doesn't apply
+    const origin = (requestOrigin, callback) => callback(null, !requestOrigin || isAllowed(requestOrigin));
+
+    return { origin, isAllowed };
+};
+
+// Site origins for the targets a server environment serves, plus any extras from CORS_ORIGINS
+const corsOriginsFor = (environments, nodeEnv, extraOrigins = []) => {
+    const targets = SERVER_TARGETS[nodeEnv] || [];
+    return targets.flatMap(target => environments[target].siteOrigins).concat(extraOrigins);
+};
+
+module.exports = {
+    loadEnvironments,
+    resolveBuildTarget,
+    publicConfigFor,
+    createOriginMatcher,
+    corsOriginsFor,
+    BUILD_TARGETS,
+    SERVER_TARGETS,
+    ENVIRONMENTS_PATH
+};
@@ -0,0 +1,83 @@
+/**
+ * Health Checks
+ * Readiness checks behind /api/health/ready: each one answers "could this
+ * instance take an inquiry and deliver it right now?"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    loadTemplate,
+    renderTemplate,
+    listTemplates,
+    buildSampleVariables,
+    FORMATS
+} = require('./email-templates');
+
+const REQUIRED_TEMPLATES = ['notification', 'auto-reply'];
+
+// Each check returns { ok, ...details } and never throws
+const runCheck = (check) => {
+    try {
+        return check();
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+};
+
+const checkTemplates = () => {
+    const available = listTemplates();
+    const missing = REQUIRED_TEMPLATES.filter(name => !available.includes(name));
+    if (missing.length) {
+        return { ok: false, error: `Missing templates: ${missing.join(', ')}` };
+    }
+
+    // Render every template so a broken partial or unknown variable shows up here
+    const variables = buildSampleVariables();
+    available.forEach(name => {
+        FORMATS.forEach(format => renderTemplate(loadTemplate(name, format), variables, format, name));
+    });
+    return { ok: true, templates: available };
+};
+
+const checkMailTransport = (mailTransport) => {
+    if (mailTransport.configError) {
+        return { ok: false, transport: mailTransport.name, error: mailTransport.configError };
+    }
+    return { ok: true, transport: mailTransport.name };
+};
+
+const checkWritable = (filePaths) => {
+    filePaths.forEach(filePath => {
+        fs.accessSync(path.dirname(filePath), fs.constants.W_OK);
+        if (fs.existsSync(filePath)) {
+            fs.accessSync(filePath, fs.constants.W_OK);
+        }
+    });
+    return { ok: true };
+};
+
+const checkQueue = (emailQueue, maxDepth) => {
+    const stats = emailQueue.stats();
+    if (stats.pending > maxDepth) {
+        return { ok: false, ...stats, maxDepth, error: `${stats.pending} emails pending (limit ${maxDepth})` };
+    }
+    return { ok: true, ...stats, maxDepth };
+};
+
+const createHealthChecks = ({ mailTransport, inquiryStore, emailQueue, bookings, maxQueueDepth }) => {
+    const readiness = () => {
+        const checks = {
+            templates: runCheck(checkTemplates),
+            mailTransport: runCheck(() => checkMailTransport(mailTransport)),
+            storage: runCheck(() => checkWritable([inquiryStore.filePath, emailQueue.filePath, bookings.filePath])),
+            queue: runCheck(() => checkQueue(emailQueue, maxQueueDepth))
+        };
+        const ready = Object.values(checks).every(check => check.ok);
+        return { ready, checks };
+    };
+
+    return { readiness };
+};
+
+module.exports = { createHealthChecks };
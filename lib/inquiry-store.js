@@ -0,0 +1,11 @@
+/**
+ * Inquiry Store
+ * Durable log of contact form submissions, written before any email is
+ * attempted so a submission survives a crash or a failed send.
+ */
+
+const { createAppendLog } = require('./append-log');
+
+const createInquiryStore = (filePath) => createAppendLog(filePath, { idPrefix: 'inq' });
+
+module.exports = { createInquiryStore };
@@ -0,0 +1,125 @@
+/**
+ * Logger
+ * Leveled logging with JSON output (for Railway) or a readable line format
+ * for local development.
+ *
+ * Anything logged while handling a request automatically carries that
+ * request's ID, via AsyncLocalStorage. Fields that hold visitor PII (name,
+ * email, message...) are redacted, and stray email addresses inside strings
+ * are masked.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'pretty'];
+
+const REDACTED_KEYS = new Set(['name', 'email', 'message', 'clientname', 'clientemail', 'clientmessage', 'to', 'from', 'replyto', 'html', 'text', 'authorization']);
+const EMAIL_IN_TEXT = /[^\s@<>"'(),;:/\\]+@[^\s@<>"'(),;:/\\]+\.[a-z]{2,}/gi;
+const REQUEST_ID_PATTERN = /^[\w.-]{8,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+const redact = (value, key) => {
+    if (key && REDACTED_KEYS.has(key.toLowerCase()) && value !== null && value !== undefined && value !== '') {
+        return '[REDACTED]';
+    }
+    if (typeof value === 'string') {
+        return value.replace(EMAIL_IN_TEXT, '[email]');
+    }
+    if (value instanceof Error) {
+        return redact({ message: value.message, code: value.code, stack: value.stack });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [childKey, childValue] of Object.entries(value)) {
+            // An error's own `message` is not visitor input
+            result[childKey] = childKey === 'message' && value.stack
+                ? redact(childValue)
+                : redact(childValue, childKey);
+        }
+        return result;
+    }
+    return value;
+};
+
+const formatPretty = ({ time, level, msg, ...fields }) => {
+    const extras = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extras ? ` ${extras}` : ''}`;
+};
+
+const createLogger = (options = {}, bindings = {}) => {
+    const settings = { level: 'info', format: 'json', ...options };
+
+    const write = (level, msg, fields = {}) => {
+        if (LEVELS[level] < LEVELS[settings.level]) return;
+
+        const context = requestContext.getStore() || {};
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: redact(msg),
+            ...context,
+            ...redact(bindings),
+            ...redact(fields)
+        };
+
+        const line = settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    };
+
+    const logger = {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (childBindings) => createLogger(settings, { ...bindings, ...childBindings }),
+        // Reconfigure in place so modules holding this logger pick up the change
+        configure: (newOptions) => Object.assign(settings, newOptions),
+        get format() {
+            return settings.format;
+        }
+    };
+
+    return logger;
+};
+
+// Express middleware: reuse a sane incoming X-Request-Id or mint one, echo it back,
+// and bind it to everything logged for the rest of the request
+const requestIdMiddleware = (logger) => (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    // Captured now - routers mounted with app.use() rewrite req.url while handling
+    const path = req.path;
+
+    res.on('finish', () => {
+        requestContext.run({ requestId }, () => {
+            logger.info('request completed', {
+                method: req.method,
+                path,
+                status: res.statusCode,
+                durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+            });
+        });
+    });
+
+    requestContext.run({ requestId }, next);
+};
+
+const logger = createLogger({
+    level: 'info',
+    format: process.env.NODE_ENV === 'production' ? 'json' : 'pretty'
+});
+
+module.exports = { logger, createLogger, requestIdMiddleware, redact, LEVELS, FORMATS };
@@ -0,0 +1,115 @@
+/**
+ * Mail Transports
+ * One `send(mailOptions)` interface over SendGrid, SMTP (nodemailer) and a
+ * local file sink for development and tests.
+ *
+ * mailOptions use the nodemailer shape ({ from, to, replyTo, subject, html,
+ * text, attachments }). SendGrid accepts the same fields, except that
+ * attachment `path`s and `content` strings are base64-encoded first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+const { createTranslator } = require('../i18n');
+
+const TRANSPORT_TYPES = ['sendgrid', 'smtp', 'file'];
+
+// nodemailer { filename, path | content, contentType } -> SendGrid { filename, content, type }
+const toSendGridAttachments = (attachments) => attachments.map(attachment => ({
+    filename: attachment.filename,
+    content: (attachment.path ? fs.readFileSync(attachment.path) : Buffer.from(attachment.content)).toString('base64'),
+    type: attachment.contentType,
+    disposition: 'attachment'
+}));
+
+const createSendGridTransport = ({ apiKey }) => {
+    const sgMail = require('@sendgrid/mail');
+    if (apiKey) {
+        sgMail.setApiKey(apiKey);
+    }
+
+    return {
+        name: 'sendgrid',
+        configError: apiKey ? null : 'SENDGRID_EMAIL_KEY is not set',
+        describe: () => 'SendGrid API',
+        send: async (mailOptions) => {
+            if (!mailOptions.attachments) {
+                return sgMail.send(mailOptions);
+            }
+            return sgMail.send({ ...mailOptions, attachments: toSendGridAttachments(mailOptions.attachments) });
+        }
+    };
+};
+
+const createSmtpTransport = ({ host, port, secure, user, password }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        configError: host ? null : 'SMTP_HOST is not set',
+        describe: () => `SMTP ${host || '(no host)'}:${port}${secure ? ' (TLS)' : ''}`,
+        send: (mailOptions) => transporter.sendMail(mailOptions)
+    };
+};
+
+// Renders each message to an .eml file instead of sending it
+const createFileTransport = ({ outboxDir }) => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        name: 'file',
+        configError: null,
+        describe: () => `local .eml files in ${outboxDir}`,
+        send: async (mailOptions) => {
+            const info = await transporter.sendMail(mailOptions);
+            const safeTo = String(mailOptions.to).replace(/[^a-z0-9@._-]/gi, '_');
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeTo}.eml`;
+            const filePath = path.join(outboxDir, fileName);
+
+            fs.mkdirSync(outboxDir, { recursive: true });
+            fs.writeFileSync(filePath, info.message);
+            logger.info('Email written to outbox', { file: filePath });
+
+            return { ...info, filePath };
+        }
+    };
+};
+
+const createMailTransport = (type, settings) => {
+    switch (type) {
+        case 'sendgrid':
+            return createSendGridTransport(settings.sendgrid);
+        case 'smtp':
+            return createSmtpTransport(settings.smtp);
+        case 'file':
+            return createFileTransport(settings.file);
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${type}". Expected one of: ${TRANSPORT_TYPES.join(', ')}`);
+    }
+};
+
+// What the visitor is told when their email can't be handled - SMTP and
+// SendGrid connection errors carry the same nodemailer-style codes. translate
+// (i18n.js) puts it in the visitor's language.
+const describeSendError = (error, contactEmail, translate = createTranslator()) => {
+    const params = { email: contactEmail };
+    if (error.code === 'ETIMEDOUT') {
+        return translate('api.sendError.timeout', params);
+    }
+    if (error.code === 'EAUTH') {
+        return translate('api.sendError.auth', params);
+    }
+    if (String(error.message).includes('Email configuration incomplete')) {
+        return translate('api.sendError.configuring', params);
+    }
+    return translate('api.sendError.generic', params);
+};
+
+module.exports = { createMailTransport, describeSendError, TRANSPORT_TYPES };
@@ -0,0 +1,101 @@
+/**
+ * Metrics
+ * Prometheus instruments for the contact API, exposed at /metrics.
+ *
+ * Route labels use the Express route pattern (e.g. /api/admin/inquiries/:id)
+ * rather than the raw URL, so label cardinality stays bounded.
+ */
+
+const client = require('prom-client');
+const contactFormSchema = require('../form-schema');
+
+// The budget buckets the contact form offers
+const BUDGET_RANGES = contactFormSchema.getField('budget').options.map(option => option.value);
+
+const createMetrics = ({ emailQueue, inquiryStore }) => {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry, prefix: 'portfolio_' });
+
+    const httpRequests = new client.Counter({
+        name: 'portfolio_http_requests_total',
+        help: 'HTTP requests by method, route and status code',
+        labelNames: ['method', 'route', 'status'],
+        registers: [registry]
+    });
+
+    const httpDuration = new client.Histogram({
+        name: 'portfolio_http_request_duration_seconds',
+        help: 'HTTP request latency by method, route and status code',
+        labelNames: ['method', 'route', 'status'],
+        buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+        registers: [registry]
+    });
+
+    const submissions = new client.Counter({
+        name: 'portfolio_contact_submissions_total',
+        help: 'Accepted contact form submissions by budget bucket and outcome (queued, quarantined)',
+        labelNames: ['budget', 'outcome'],
+        registers: [registry]
+    });
+
+    const rejections = new client.Counter({
+        name: 'portfolio_contact_rejections_total',
+        help: 'Contact form submissions rejected before storage, by reason',
+        labelNames: ['reason'],
+        registers: [registry]
+    });
+
+    const emailSends = new client.Counter({
+        name: 'portfolio_email_sends_total',
+        help: 'Email send attempts by template and result (success, failure, dead)',
+        labelNames: ['template', 'result'],
+        registers: [registry]
+    });
+
+    new client.Gauge({
+        name: 'portfolio_email_queue_jobs',
+        help: 'Emails in the delivery queue by status',
+        labelNames: ['status'],
+        registers: [registry],
+        collect() {
+            Object.entries(emailQueue.stats()).forEach(([status, count]) => this.set({ status }, count));
+        }
+    });
+
+    // Quarantined inquiries get a normal reply and no notification - alert on
+    // this so a real lead caught by the spam check doesn't go unnoticed
+    new client.Gauge({
+        name: 'portfolio_quarantined_inquiries',
+        help: 'Stored inquiries still quarantined as spam, awaiting review in the admin dashboard',
+        registers: [registry],
+        collect() {
+            this.set(inquiryStore.list().filter(inquiry => inquiry.status === 'quarantined').length);
+        }
+    });
+
+    // Record every request once the response is sent
+    const middleware = (req, res, next) => {
+        const stopTimer = httpDuration.startTimer();
+        res.on('finish', () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            const labels = { method: req.method, route, status: res.statusCode };
+            httpRequests.inc(labels);
+            stopTimer(labels);
+        });
+        next();
+    };
+
+    return {
+        registry,
+        middleware,
+        // Budget is visitor input - anything outside the known buckets is lumped together
+        recordSubmission: (budget, outcome) => submissions.inc({
+            budget: !budget ? 'unspecified' : BUDGET_RANGES.includes(budget) ? budget : 'other',
+            outcome
+        }),
+        recordRejection: (reason) => rejections.inc({ reason }),
+        recordEmailSend: (template, result) => emailSends.inc({ template, result })
+    };
+};
+
+module.exports = { createMetrics };
@@ -0,0 +1,32 @@
+/**
+ * Projects API
+ * Public, read-only portfolio content, mounted at /api/projects.
+ */
+
+const express = require('express');
+
+const CACHE_CONTROL = 'public, max-age=300';
+
+const createProjectRouter = (projectSource) => {
+    const router = express.Router();
+
+    // Categories and every project, in display order
+    router.get('/', (req, res) => {
+        const { categories, projects } = projectSource.get();
+        res.set('Cache-Control', CACHE_CONTROL);
+        res.json({ success: true, count: projects.length, categories, projects });
+    });
+
+    router.get('/:slug', (req, res) => {
+        const project = projectSource.findBySlug(req.params.slug);
+        if (!project) {
+            return res.status(404).json({ success: false, message: 'Project not found' });
+        }
+        res.set('Cache-Control', CACHE_CONTROL);
+        res.json({ success: true, project });
+    });
+
+    return router;
+};
+
+module.exports = { createProjectRouter };
@@ -0,0 +1,143 @@
+/**
+ * Projects
+ * Portfolio content from content/projects.json - the single source for the
+ * cards and filter buttons on the site. Served by /api/projects and baked into
+ * build/index.html by deploy.js so the static site needs no API call.
+ *
+ * To add a project, add an entry to `projects`; its `category` must be one of
+ * the `categories` ids. A `caseStudy` gives it a page at /work/<slug>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./config');
+const { logger } = require('./logger');
+
+const PROJECTS_PATH = path.join(__dirname, '..', 'content', 'projects.json');
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+const REQUIRED_STRINGS = ['slug', 'title', 'cardLabel', 'summary', 'category', 'icon', 'theme'];
+const CASE_STUDY_LISTS = ['approach', 'stack', 'outcomes'];
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+const validateCaseStudy = (caseStudy, where, errors) => {
+    if (typeof caseStudy.problem !== 'string' || !caseStudy.problem.trim()) {
+        errors.push(`${where}.caseStudy.problem is required`);
+    }
+    CASE_STUDY_LISTS.forEach(key => {
+        if (!isStringList(caseStudy[key]) || !caseStudy[key].length) {
+            errors.push(`${where}.caseStudy.${key} must be a non-empty list of strings`);
+        }
+    });
+    (Array.isArray(caseStudy.screenshots) ? caseStudy.screenshots : [null]).forEach((shot, index) => {
+        if (!shot || typeof shot.src !== 'string' || typeof shot.alt !== 'string') {
+            errors.push(`${where}.caseStudy.screenshots[${index}] needs a src and alt text`);
+        }
+    });
+};
+
+const validateProject = (project, index, categoryIds, errors) => {
+    const where = `projects[${index}]${project && project.slug ? ` (${project.slug})` : ''}`;
+    if (!project || typeof project !== 'object') {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+
+    REQUIRED_STRINGS.forEach(key => {
+        if (typeof project[key] !== 'string' || !project[key].trim()) {
+            errors.push(`${where}.${key} is required`);
+        }
+    });
+    if (project.slug && !SLUG_PATTERN.test(project.slug)) {
+        errors.push(`${where}.slug must be lowercase words joined by hyphens`);
+    }
+    if (project.category && !categoryIds.includes(project.category)) {
+        errors.push(`${where}.category "${project.category}" is not one of: ${categoryIds.join(', ')}`);
+    }
+    if (!isStringList(project.tags)) {
+        errors.push(`${where}.tags must be a list of strings`);
+    }
+    if (project.caseStudy) {
+        validateCaseStudy(project.caseStudy, where, errors);
+    }
+    Object.entries(project.links || {}).forEach(([name, url]) => {
+        if (url !== null && !URL_PATTERN.test(url)) {
+            errors.push(`${where}.links.${name} must be an http(s) URL or null`);
+        }
+    });
+};
+
+// Read and validate the content file, reporting every problem at once
+const loadProjects = (filePath = PROJECTS_PATH) => {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`Could not read projects file ${filePath}: ${error.message}`]);
+    }
+
+    const errors = [];
+    const categories = Array.isArray(raw.categories) ? raw.categories : [];
+    const projects = Array.isArray(raw.projects) ? raw.projects : [];
+    if (!Array.isArray(raw.categories)) errors.push('categories must be a list of { id, label }');
+    if (!Array.isArray(raw.projects)) errors.push('projects must be a list');
+
+    categories.forEach((category, index) => {
+        if (!category || !category.id || !category.label) {
+            errors.push(`categories[${index}] needs an id and a label`);
+        }
+    });
+
+    const categoryIds = categories.map(category => category && category.id);
+    projects.forEach((project, index) => validateProject(project, index, categoryIds, errors));
+
+    const slugs = projects.map(project => project && project.slug);
+    slugs.filter((slug, index) => slug && slugs.indexOf(slug) !== index).forEach(slug => {
+        errors.push(`projects slug "${slug}" is used more than once`);
+    });
+
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+
+    return {
+        categories,
+        projects: projects.map(project => ({
+            featured: false,
+            links: {},
+            caseStudy: null,
+            ...project
+        }))
+    };
+};
+
+// Reloads the file whenever it changes on disk; a bad edit keeps serving the last good copy
+const createProjectSource = (filePath = PROJECTS_PATH) => {
+    let cached = loadProjects(filePath);
+    let loadedMtime = fs.statSync(filePath).mtimeMs;
+
+    const get = () => {
+        try {
+            const mtime = fs.statSync(filePath).mtimeMs;
+            if (mtime !== loadedMtime) {
+                loadedMtime = mtime;
+                cached = loadProjects(filePath);
+                logger.info('Reloaded projects', { file: filePath, count: cached.projects.length });
+            }
+        } catch (error) {
+            logger.error('Failed to reload projects - serving the previous version', {
+                file: filePath,
+                errors: error.errors || [error.message]
+            });
+        }
+        return cached;
+    };
+
+    const findBySlug = (slug) => get().projects.find(project => project.slug === slug) || null;
+
+    return { filePath, get, findBySlug };
+};
+
+module.exports = { loadProjects, createProjectSource, PROJECTS_PATH };
@@ -0,0 +1,100 @@
+/**
+ * Spam Guard
+ * Signed form-render tokens for the timing check, plus a local heuristic
+ * scorer for contact form submissions.
+ *
+ * A token is `<issuedAt>.<hmac>`: the browser fetches one when the form is
+ * rendered and sends it back on submit, so the server can tell how long the
+ * visitor actually spent on the form without trusting a client clock.
+ */
+
+const crypto = require('crypto');
+
+// Only words that never describe a real project - industries (crypto, casinos,
+// trading) are left out, since a client in one would be quarantined. Add more
+// with SPAM_BLOCKLIST.
+const DEFAULT_BLOCKLIST = [
+    'viagra', 'cialis', 'backlinks', 'seo services', 'guest post', 'payday loan', 'escort', 'porn'
+];
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const HAS_LINK = /\b(?:https?:\/\/|www\.)/i;
+const REPEAT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/;
+
+const sign = (issuedAt, secret) => crypto
+    .createHmac('sha256', secret)
+    .update(String(issuedAt))
+    .digest('hex');
+
+const createFormToken = (secret, now = Date.now()) => `${now}.${sign(now, secret)}`;
+
+// Returns { valid, reason, ageMs }
+const verifyFormToken = (token, secret, { minAgeMs, maxAgeMs, now = Date.now() }) => {
+    if (!token || typeof token !== 'string' || !token.includes('.')) {
+        return { valid: false, reason: 'missing' };
+    }
+
+    const [issuedAtRaw, signature] = token.split('.');
+    const issuedAt = parseInt(issuedAtRaw, 10);
+    const expected = sign(issuedAt, secret);
+
+    // Check the shape first: timingSafeEqual throws on buffers of different byte lengths
+    if (!issuedAt || !SIGNATURE_PATTERN.test(signature) ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    const ageMs = now - issuedAt;
+    if (ageMs < minAgeMs) {
+        return { valid: false, reason: 'too-fast', ageMs };
+    }
+    if (ageMs > maxAgeMs) {
+        return { valid: false, reason: 'expired', ageMs };
+    }
+
+    return { valid: true, reason: null, ageMs };
+};
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Score a submission against simple heuristics; higher is spammier
+const scoreInquiry = ({ name, email, message }, recentInquiries = [], { blocklist = DEFAULT_BLOCKLIST, now = Date.now() } = {}) => {
+    const reasons = [];
+    let score = 0;
+
+    const links = (String(message || '').match(LINK_PATTERN) || []).length;
+    if (links > 2) {
+        score += 2 + (links - 3);
+        reasons.push(`${links} links in message`);
+    }
+
+    if (HAS_LINK.test(String(name || ''))) {
+        score += 3;
+        reasons.push('link in name');
+    }
+
+    const text = normalize(`${name} ${message}`);
+    const blocked = blocklist.filter(word => text.includes(normalize(word)));
+    if (blocked.length) {
+        score += blocked.length * 2;
+        reasons.push(`blocklisted words: ${blocked.join(', ')}`);
+    }
+
+    const recent = recentInquiries.filter(inquiry => now - new Date(inquiry.createdAt).getTime() < REPEAT_WINDOW_MS);
+    const sameEmail = recent.filter(inquiry => normalize(inquiry.email) === normalize(email)).length;
+    if (sameEmail > 0) {
+        score += sameEmail * 2;
+        reasons.push(`${sameEmail} earlier submission(s) from this email in 24h`);
+    }
+
+    const sameMessage = recent.filter(inquiry => normalize(inquiry.message) === normalize(message)).length;
+    if (sameMessage > 0) {
+        score += 4;
+        reasons.push('identical message submitted in the last 24h');
+    }
+
+    return { score, reasons };
+};
+
+module.exports = { createFormToken, verifyFormToken, scoreInquiry, DEFAULT_BLOCKLIST };
@@ -0,0 +1,132 @@
+/**
+ * Static Site
+ * Serves the build/ output (`npm run build`) from the API server so the whole
+ * site can run as one process: fingerprinted assets cached for a year, HTML
+ * revalidated on every visit via its ETag, pre-rendered pages at their clean
+ * URLs and index.html for any other page route (the client router takes over).
+ *
+ * Also works out the Content-Security-Policy the pages need - including
+ * hashes of their inline <style> blocks - since the server sends it for them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { ConfigError } = require('./config');
+
+// script.3f9a1c20b7.js, styles.3f9a1c20b7.css and their source maps
+const FINGERPRINTED = /\.[0-9a-f]{10}\.(js|css)(\.map)?$/;
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+const REVALIDATE = 'no-cache';
+const SHORT_CACHE = 'public, max-age=3600';
+
+// Files in build/ that are deploy settings, not part of the site
+const PRIVATE_FILES = ['netlify.toml'];
+
+// The service worker keeps its URL across builds, so it's revalidated like the pages
+const SERVICE_WORKER = 'sw.js';
+
+// Where index.html and admin.html load fonts and icons from
+const FONT_STYLESHEETS = ['https://fonts.googleapis.com', 'https://cdnjs.cloudflare.com'];
+const FONT_FILES = ['https://fonts.gstatic.com', 'https://cdnjs.cloudflare.com'];
+
+const findHtmlFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findHtmlFiles(fullPath);
+    return entry.name.endsWith('.html') ? [fullPath] : [];
+});
+
+const hashSource = (content) => `'sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('base64')}'`;
+
+/**
+ * buildContentSecurityPolicy({ styleHashes, apiOrigins, upgradeInsecureRequests })
+ * Directives for helmet's contentSecurityPolicy option. apiOrigins are any
+ * API hosts other than this one the pages call.
+ */
+const buildContentSecurityPolicy = ({ styleHashes = [], apiOrigins = [], upgradeInsecureRequests = false } = {}) => ({
+    defaultSrc: ["'self'"],
+    baseUri: ["'self'"],
+    scriptSrc: ["'self'"],
+    scriptSrcAttr: ["'none'"],
+    styleSrc: ["'self'", ...FONT_STYLESHEETS, ...styleHashes],
+    fontSrc: ["'self'", 'data:', ...FONT_FILES],
+    imgSrc: ["'self'", 'data:', 'blob:'],
+    connectSrc: ["'self'", ...apiOrigins],
+    formAction: ["'self'"],
+    frameAncestors: ["'none'"],
+    objectSrc: ["'none'"],
+    upgradeInsecureRequests: upgradeInsecureRequests ? [] : null
+});
+
+/**
+ * createStaticSite(dir)
+ * Reads the build once at startup - rebuild, then restart the server.
+ * Returns { dir, router, pageCount, styleHashes, apiOrigins }.
+ */
+const createStaticSite = (dir) => {
+    const indexFile = path.join(dir, 'index.html');
+    if (!fs.existsSync(indexFile)) {
+        throw new ConfigError([`${indexFile} not found - run \`npm run build\` first or set SERVE_FRONTEND=false`]);
+    }
+
+    const htmlFiles = findHtmlFiles(dir);
+    const styleHashes = new Set();
+    const apiOrigins = new Set();
+    const pages = new Map();
+
+    htmlFiles.forEach(file => {
+        const html = fs.readFileSync(file, 'utf8');
+        for (const [, css] of html.matchAll(/<style>([\s\S]*?)<\/style>/g)) {
+            styleHashes.add(hashSource(css));
+        }
+
+        // An absolute apiBase injected by the build is another host the page calls
+        const config = html.match(/<script id="public-config" type="application\/json">([\s\S]*?)<\/script>/);
+        const apiBase = config && JSON.parse(config[1]).apiBase;
+        if (apiBase) apiOrigins.add(new URL(apiBase).origin);
+
+        // build/work/farmer-portal/index.html -> /work/farmer-portal
+        if (path.basename(file) === 'index.html') {
+            const route = `/${path.relative(dir, path.dirname(file)).split(path.sep).join('/')}`.replace(/\/$/, '');
+            pages.set(route || '/', file);
+        }
+    });
+
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        // Skip the rest of the router, on to the app's 404 handler
+        if (PRIVATE_FILES.includes(path.basename(req.path))) return next('router');
+        next();
+    });
+
+    router.use(express.static(dir, {
+        index: false,
+        redirect: false,
+        setHeaders: (res, filePath) => {
+            if (FINGERPRINTED.test(filePath)) {
+                res.set('Cache-Control', IMMUTABLE);
+            } else if (filePath.endsWith('.html') || path.basename(filePath) === SERVICE_WORKER) {
+                res.set('Cache-Control', REVALIDATE);
+            } else {
+                res.set('Cache-Control', SHORT_CACHE);
+            }
+        }
+    }));
+
+    // Page routes: a pre-rendered page if there is one, otherwise the home page
+    router.get('*', (req, res, next) => {
+        if (req.path.startsWith('/api/') || path.extname(req.path) || !req.accepts('html')) {
+            return next();
+        }
+
+        const route = req.path.replace(/\/+$/, '') || '/';
+        res.set('Cache-Control', REVALIDATE);
+        res.sendFile(pages.get(route) || indexFile);
+    });
+
+    return { dir, router, pageCount: pages.size, styleHashes: [...styleHashes], apiOrigins: [...apiOrigins] };
+};
+
+module.exports = { createStaticSite, buildContentSecurityPolicy };
@@ -0,0 +1,174 @@
+// Contact Outbox
+// Inquiries that couldn't reach the API, kept in IndexedDB until they can be
+// sent. Shared by the page (script.js queues them and retries on the next
+// visit or when the connection returns) and the service worker (sw.js retries
+// them through Background Sync, even after the tab is closed).
+(function (root, factory) {
+    const outbox = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = outbox;
+    } else {
+        root.ContactOutbox = outbox;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DB_NAME = 'portfolio-outbox';
+    const DB_VERSION = 1;
+    const STORE = 'inquiries';
+    const SYNC_TAG = 'contact-outbox';
+
+    // How long one sender (page or service worker) owns an entry it's sending,
+    // so the other doesn't post the same inquiry twice
+    const LEASE_MS = 60 * 1000;
+
+    const promisify = (request) => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    const generateId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+    /**
+     * createOutbox(indexedDB)
+     * Entries are { id, url, parts, createdAt, attempts, status, lockedUntil,
+     * error }. parts are the multipart body as [name, value] pairs - strings,
+     * and Files for attachments. status is "pending" until the API rejects the
+     * inquiry, then "failed" with the API's reply in `error`.
+     */
+    const createOutbox = (indexedDB) => {
+        let opening = null;
+
+        const open = () => {
+            if (!opening) {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'id' });
+                };
+                opening = promisify(request);
+            }
+            return opening;
+        };
+
+        // Run fn(store) in one transaction and resolve once it has committed
+        const withStore = async (mode, fn) => {
+            const db = await open();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(STORE, mode);
+                let result;
+                Promise.resolve(fn(transaction.objectStore(STORE))).then(value => {
+                    result = value;
+                }, reject);
+                transaction.oncomplete = () => resolve(result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        };
+
+        const add = ({ url, parts }) => {
+            const entry = {
+                id: generateId(),
+                url,
+                parts,
+                createdAt: new Date().toISOString(),
+                attempts: 0,
+                status: 'pending',
+                lockedUntil: 0,
+                error: null
+            };
+            return withStore('readwrite', store => promisify(store.add(entry))).then(() => entry);
+        };
+
+        const list = () => withStore('readonly', store => promisify(store.getAll()))
+            .then(entries => entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+
+        const remove = (id) => withStore('readwrite', store => promisify(store.delete(id)));
+
+        const update = (id, changes) => withStore('readwrite', async store => {
+            const entry = await promisify(store.get(id));
+            if (entry) await promisify(store.put({ ...entry, ...changes }));
+        });
+
+        // Take the lease on a pending entry - null if it's gone or someone else is sending it
+        const claim = (id, now) => withStore('readwrite', async store => {
+            const entry = await promisify(store.get(id));
+            if (!entry || entry.status !== 'pending' || entry.lockedUntil > now) return null;
+            const claimed = { ...entry, lockedUntil: now + LEASE_MS, attempts: entry.attempts + 1 };
+            await promisify(store.put(claimed));
+            return claimed;
+        });
+
+        /**
+         * flush(send)
+         * Sends each pending entry with send(entry), which resolves with the
+         * API's JSON reply or rejects when the API can't be reached. Sent
+         * entries are removed; rejected ones are kept as "failed" so the page
+         * can hand them back to the visitor. Resolves with { sent, failed,
+         * pending } - the entries sent, those the API rejected and how many
+         * are still waiting.
+         */
+        const flush = async (send, { now = Date.now() } = {}) => {
+            const sent = [];
+            const failed = [];
+            let pending = 0;
+
+            for (const { id } of await list()) {
+                const entry = await claim(id, now);
+                if (!entry) continue;
+
+                let reply;
+                try {
+                    reply = await send(entry);
+                } catch (error) {
+                    // Still offline - leave it for the next attempt
+                    await update(id, { lockedUntil: 0 });
+                    pending++;
+                    continue;
+                }
+
+                if (reply && reply.success) {
+                    await remove(id);
+                    sent.push(entry);
+                } else {
+                    const error = {
+                        message: (reply && reply.message) || 'Your message could not be sent.',
+                        errors: (reply && reply.errors) || {}
+                    };
+                    await update(id, { status: 'failed', lockedUntil: 0, error });
+                    failed.push({ ...entry, status: 'failed', error });
+                }
+            }
+
+            return { sent, failed, pending };
+        };
+
+        return { add, list, remove, flush };
+    };
+
+    // The multipart body an entry was queued with
+    const toFormData = (entry, FormDataClass = FormData) => {
+        const body = new FormDataClass();
+        entry.parts.forEach(([name, value]) => body.append(name, value));
+        return body;
+    };
+
+    /**
+     * withFreshToken(entry, getToken)
+     * The entry with a form token fetched just before it's sent - the one the
+     * form rendered with is empty if the page was loaded offline, and expires
+     * after a day. getToken(url) resolves with the token endpoint's JSON reply;
+     * the token is only used once it's as old as the server's minimum form time
+     * (its minAgeMs). Rejects, leaving the entry pending, if there's no token.
+     */
+    const withFreshToken = async (entry, getToken, wait = delay) => {
+        const { token, minAgeMs = 0 } = await getToken(`${entry.url}/token`);
+        if (!token) throw new Error('No form token');
+        await wait(minAgeMs);
+        const parts = entry.parts.filter(([name]) => name !== 'formToken').concat([['formToken', token]]);
+        return { ...entry, parts };
+    };
+
+    const isSupported = (scope) => !!(scope && scope.indexedDB);
+
+    return { createOutbox, toFormData, withFreshToken, isSupported, SYNC_TAG, LEASE_MS };
+});
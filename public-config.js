@@ -0,0 +1,65 @@
+// Public Config
+// The settings the browser needs: which environment it's in, the site URL and
+// where the API lives. The build injects them for its target environment
+// (config/environments.json) as <script id="public-config">; without a build -
+// local development - they're worked out from the page's own address.
+(function (root, factory) {
+    const publicConfig = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = publicConfig;
+    } else {
+        root.PublicConfig = publicConfig;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const LOCAL_API_PORT = 3000;
+
+    // localhost, loopback and private network addresses - a dev machine, or a
+    // phone on the same Wi-Fi opening http://192.168.1.20:8000
+    const isLocalHost = (hostname) => {
+        const host = String(hostname).replace(/^\[|\]$/g, '').toLowerCase();
+        if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host === '::1') {
+            return true;
+        }
+
+        const octets = host.split('.').map(Number);
+        if (octets.length !== 4 || octets.some(octet => !Number.isInteger(octet) || octet < 0 || octet > 255)) {
+            return false;
+        }
+        const [a, b] = octets;
+        return a === 127 || a === 10 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31) || (a === 169 && b === 254);
+    };
+
+    // The API server runs on the same machine as the local site, on its own port
+    const localApiBase = (location) => {
+        const host = location.hostname.includes(':') && !location.hostname.startsWith('[')
+            ? `[${location.hostname}]`
+            : location.hostname;
+        return `${location.protocol}//${host}:${LOCAL_API_PORT}`;
+    };
+
+    /**
+     * resolve(injected, location)
+     * injected is the build's config (or null). An apiBase of null means "this
+     * host, port 3000"; an empty string means same-origin (netlify.toml proxies /api).
+     */
+    const resolve = (injected, location) => {
+        const config = injected || {
+            environment: isLocalHost(location.hostname) ? 'local' : 'production',
+            siteUrl: location.origin,
+            apiBase: isLocalHost(location.hostname) ? null : ''
+        };
+
+        return {
+            ...config,
+            apiBase: config.apiBase === null ? localApiBase(location) : config.apiBase.replace(/\/+$/, '')
+        };
+    };
+
+    // Reads the injected config from the page, if the build added one
+    const read = (doc = document, location = window.location) => {
+        const element = doc.getElementById('public-config');
+        return resolve(element ? JSON.parse(element.textContent) : null, location);
+    };
+
+    return { read, resolve, isLocalHost, LOCAL_API_PORT };
+});
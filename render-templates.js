@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Email Template Renderer
+ * Renders every template in templates/emails (html + txt) with sample
+ * variables into a folder, for review and snapshot diffs.
+ *
+ * Usage: node render-templates.js [--out <dir>] [--vars <file.json>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    loadTemplate,
+    renderTemplate,
+    listTemplates,
+    buildSampleVariables,
+    FORMATS
+} = require('./lib/email-templates');
+
+const getArg = (name, fallback) => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const outDir = getArg('--out', 'email-previews');
+const varsFile = getArg('--vars', null);
+
+console.log('📧 Rendering email templates');
+console.log('================================\n');
+
+let overrides = {};
+if (varsFile) {
+    try {
+        overrides = JSON.parse(fs.readFileSync(varsFile, 'utf8'));
+        console.log(`🔧 Using variables from ${varsFile}\n`);
+    } catch (error) {
+        console.log(`❌ Could not read ${varsFile}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+fs.mkdirSync(outDir, { recursive: true });
+const variables = buildSampleVariables(overrides);
+let failures = 0;
+
+listTemplates().forEach(name => {
+    FORMATS.forEach(format => {
+        const fileName = `${name}.${format}`;
+        try {
+            const rendered = renderTemplate(loadTemplate(name, format), variables, format, name);
+            fs.writeFileSync(path.join(outDir, fileName), rendered);
+            console.log(`✅ ${fileName}`);
+        } catch (error) {
+            console.log(`❌ ${fileName} - ${error.message}`);
+            failures++;
+        }
+    });
+});
+
+console.log('');
+if (failures) {
+    console.log(`⚠️  ${failures} template(s) failed to render.`);
+    process.exit(1);
+}
+console.log(`🎉 Rendered templates written to ${outDir}/`);
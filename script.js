@@ -1,14 +1,112 @@
+// API endpoint - injected by the build for its target environment, or worked
+// out from the page's host in local development (see public-config.js)
+const API_BASE = window.PublicConfig.read().apiBase;
+
+// Language - the visitor's pick from the navbar switcher, remembered on this
+// device, otherwise the first of their browser's languages the site has (i18n.js)
+const LOCALE_STORAGE_KEY = 'portfolio-locale';
+let currentLocale = detectLocale();
+let t = window.SiteI18n.createTranslator(currentLocale);
+
 // DOM Content Loaded
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize all functionality
+    initLanguage();
     initNavigation();
     initScrollAnimations();
-    initPortfolioFilter();
+    initPortfolio();
+    initCaseStudyRouter();
     initCounterAnimation();
     initFormHandling();
     initIntersectionObserver();
+    registerServiceWorker();
 });
 
+// Language Switcher
+function initLanguage() {
+    const switcher = document.getElementById('language-select');
+    switcher.innerHTML = window.SiteI18n.LOCALES
+        .map(locale => `<option value="${locale.code}" lang="${locale.code}">${escapeHtml(locale.name)}</option>`)
+        .join('');
+    switcher.value = currentLocale;
+    switcher.addEventListener('change', () => setLocale(switcher.value));
+
+    applyLocale();
+}
+
+function detectLocale() {
+    const i18n = window.SiteI18n;
+    try {
+        const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (i18n.isSupported(saved)) return saved;
+    } catch (error) {
+        // Storage is unavailable (private browsing) - go by the browser's languages
+    }
+    return i18n.negotiate(navigator.languages || [navigator.language]);
+}
+
+// Switch languages in place. Text rendered from data (counts, slot times)
+// is redrawn by listeners for the "localechange" event.
+function setLocale(locale) {
+    currentLocale = locale;
+    t = window.SiteI18n.createTranslator(locale);
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        // Storage is unavailable - the choice lasts until the page is closed
+    }
+
+    applyLocale();
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+}
+
+function applyLocale() {
+    document.documentElement.lang = currentLocale;
+    applyTranslations(document);
+    if (document.body.classList.contains('case-study-open')) {
+        // Re-rendered rather than annotated - it's built from the project's content
+        showCurrentRoute();
+    } else {
+        document.title = t('meta.title');
+    }
+}
+
+// Fill in [data-i18n] text, [data-i18n-html] markup (catalog HTML is trusted)
+// and [data-i18n-attr="attribute:key; ..."] attributes, with the element's
+// data-i18n-params (JSON) for any placeholders
+function applyTranslations(root) {
+    const paramsOf = (element) => (element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : undefined);
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, paramsOf(element));
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml, paramsOf(element));
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            element.setAttribute(attribute, t(key, paramsOf(element)));
+        });
+    });
+}
+
+// Show a catalog message in an element and keep it translated when the language changes
+function setTranslatedText(element, key, params) {
+    element.dataset.i18n = key;
+    if (params) {
+        element.dataset.i18nParams = JSON.stringify(params);
+    } else {
+        delete element.dataset.i18nParams;
+    }
+    element.textContent = t(key, params);
+}
+
+// The data-i18n-params attribute for markup built as a string
+function i18nParams(params) {
+    return ` data-i18n-params="${escapeHtml(JSON.stringify(params))}"`;
+}
+
 // Navigation Functionality
 function initNavigation() {
     const navbar = document.querySelector('.navbar');
@@ -54,6 +152,7 @@ function initNavigation() {
     navLinks.forEach(link => {
         link.addEventListener('click', (e) => {
             e.preventDefault();
+            leaveCaseStudy();
             const targetId = link.getAttribute('href');
             const targetSection = document.querySelector(targetId);
             
@@ -108,49 +207,347 @@ function initScrollAnimations() {
     });
 }
 
-// Portfolio Filter Functionality
-function initPortfolioFilter() {
-    const filterButtons = document.querySelectorAll('.filter-btn');
-    const portfolioItems = document.querySelectorAll('.portfolio-item');
+// Portfolio - filter controls and cards rendered from the projects content
+async function initPortfolio() {
+    const grid = document.querySelector('.portfolio-grid');
 
-    filterButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            // Remove active class from all buttons
-            filterButtons.forEach(btn => btn.classList.remove('active'));
-            // Add active class to clicked button
-            button.classList.add('active');
+    const data = await loadProjects();
+    if (!data) {
+        grid.innerHTML = `<p class="portfolio-empty" data-i18n="portfolio.loadError">${escapeHtml(t('portfolio.loadError'))}</p>`;
+        return;
+    }
 
-            const filterValue = button.getAttribute('data-filter');
+    grid.innerHTML = data.projects.map(createProjectCard).join('');
 
-            portfolioItems.forEach(item => {
-                const itemCategory = item.getAttribute('data-category');
-                
-                if (filterValue === 'all' || itemCategory === filterValue) {
-                    item.style.display = 'block';
-                    // Add animation
-                    item.style.animation = 'fadeInUp 0.5s ease forwards';
-                } else {
-                    item.style.display = 'none';
-                }
-            });
+    initPortfolioFilter(data);
+    observeFadeIn(grid.querySelectorAll('.portfolio-item'));
+}
+
+// Baked into index.html by the production build, otherwise fetched from the API.
+// Shared by the grid and the case-study router, so it's only requested once.
+let projectsRequest = null;
+
+function loadProjects() {
+    if (!projectsRequest) {
+        projectsRequest = fetchProjects().then(data => {
+            if (!data) projectsRequest = null;
+            return data;
         });
+    }
+    return projectsRequest;
+}
+
+async function fetchProjects() {
+    const baked = document.getElementById('projects-data');
+    if (baked) {
+        return JSON.parse(baked.textContent);
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/projects`);
+        const result = await response.json();
+        return result.success ? result : null;
+    } catch (error) {
+        console.error('Projects error:', error);
+        return null;
+    }
+}
+
+function createProjectCard(project) {
+    const title = { title: project.title };
+    const links = [
+        project.links.live && `<a href="${escapeHtml(project.links.live)}" class="portfolio-link" target="_blank" rel="noopener" aria-label="${escapeHtml(t('portfolio.viewLive', title))}" data-i18n-attr="aria-label:portfolio.viewLive"${i18nParams(title)}><i class="fas fa-external-link-alt"></i></a>`,
+        project.links.source && `<a href="${escapeHtml(project.links.source)}" class="portfolio-link" target="_blank" rel="noopener" aria-label="${escapeHtml(t('portfolio.viewSource', title))}" data-i18n-attr="aria-label:portfolio.viewSource"${i18nParams(title)}><i class="fab fa-github"></i></a>`
+    ].filter(Boolean);
+
+    return `
+        <div class="portfolio-item${project.featured ? ' featured-project' : ''}" data-category="${escapeHtml(project.category)}" data-tags="${escapeHtml(project.tags.map(tagId).join(' '))}" data-slug="${escapeHtml(project.slug)}">
+            <div class="portfolio-image">
+                <div class="placeholder-img ${escapeHtml(project.theme)}-demo">
+                    <i class="${escapeHtml(project.icon)}"></i>
+                    <span>${escapeHtml(project.cardLabel)}</span>
+                </div>
+                <div class="portfolio-overlay">
+                    <div class="portfolio-content">
+                        <h3>${escapeHtml(project.title)}</h3>
+                        <p>${escapeHtml(project.summary)}</p>
+                        <div class="portfolio-tech">
+                            ${project.tags.map(tag => `<span>${escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                        ${project.caseStudy ? `<a href="${window.PortfolioCaseStudy.pathFor(project.slug)}" class="portfolio-case-link" data-case-study><span data-i18n="portfolio.readCaseStudy">${escapeHtml(t('portfolio.readCaseStudy'))}</span> <i class="fas fa-arrow-right"></i></a>` : ''}
+                        ${links.length ? `<div class="portfolio-links">${links.join('')}</div>` : ''}
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Case-study routing - /work/<slug> swaps the home page sections for one project's case study
+// The portfolio filters' query string, restored when returning to the home page
+let homeSearch = '';
+
+function initCaseStudyRouter() {
+    window.addEventListener('popstate', showCurrentRoute);
+
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-case-study], a[href^="/#"]');
+        if (!link || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        e.preventDefault();
+        const href = link.getAttribute('href');
+        if (href.startsWith('/#')) {
+            scrollToSection(href.slice(1));
+            return;
+        }
+
+        if (!window.PortfolioCaseStudy.matchPath(window.location.pathname)) {
+            homeSearch = window.location.search;
+        }
+        history.pushState(null, '', href);
+        showCurrentRoute();
+        window.scrollTo(0, 0);
     });
 
-    // Add CSS animation keyframes dynamically
-    const style = document.createElement('style');
-    style.textContent = `
-        @keyframes fadeInUp {
-            from {
-                opacity: 0;
-                transform: translateY(30px);
-            }
-            to {
-                opacity: 1;
-                transform: translateY(0);
+    showCurrentRoute();
+}
+
+async function showCurrentRoute() {
+    const caseStudy = window.PortfolioCaseStudy;
+    const slug = caseStudy.matchPath(window.location.pathname);
+    if (!slug) {
+        closeCaseStudyView();
+        return;
+    }
+
+    const data = await loadProjects();
+    const project = data && data.projects.find(item => item.slug === slug && item.caseStudy);
+    if (!project) {
+        // Unknown or removed project - fall back to the grid
+        history.replaceState(null, '', '/');
+        closeCaseStudyView();
+        scrollToSection('#portfolio');
+        return;
+    }
+
+    const view = document.getElementById('case-study');
+    view.innerHTML = caseStudy.render(project, data.categories, t);
+    view.hidden = false;
+    document.body.classList.add('case-study-open');
+    document.title = caseStudy.pageTitle(project, t);
+}
+
+function closeCaseStudyView() {
+    const view = document.getElementById('case-study');
+    view.hidden = true;
+    view.innerHTML = '';
+    document.body.classList.remove('case-study-open');
+    document.title = t('meta.title');
+}
+
+// Back to the home page before scrolling to one of its sections
+function leaveCaseStudy() {
+    if (!document.body.classList.contains('case-study-open')) return;
+    history.pushState(null, '', `/${homeSearch}`);
+    closeCaseStudyView();
+}
+
+// Portfolio Filter Functionality - category, tags (any/all), search and sort.
+// The state lives in the query string so a filtered view can be shared, e.g.
+// /?category=ecommerce&tags=sms-integration#portfolio
+// Sort labels are portfolio.sorts.<id> in the catalogs
+const PORTFOLIO_SORTS = {
+    featured: { compare: (a, b) => Number(b.featured) - Number(a.featured) },
+    title: { compare: (a, b) => a.title.localeCompare(b.title) },
+    'title-desc': { compare: (a, b) => b.title.localeCompare(a.title) }
+};
+
+const DEFAULT_PORTFOLIO_STATE = { category: 'all', tags: [], match: 'any', query: '', sort: 'featured' };
+
+function initPortfolioFilter(data) {
+    const filterContainer = document.querySelector('.portfolio-filter');
+    const controls = document.querySelector('.portfolio-controls');
+    const grid = document.querySelector('.portfolio-grid');
+
+    // Only offer categories and tags that have at least one project
+    const categories = [{ id: 'all', label: t('portfolio.all'), labelKey: 'portfolio.all' }]
+        .concat(data.categories.filter(category => data.projects.some(project => project.category === category.id)));
+    const tags = [];
+    data.projects.forEach(project => project.tags.forEach(tag => {
+        if (!tags.some(known => known.id === tagId(tag))) tags.push({ id: tagId(tag), label: tag });
+    }));
+
+    let state = readPortfolioState(categories.map(category => category.id), tags.map(tag => tag.id));
+
+    filterContainer.innerHTML = categories
+        .map(category => `<button type="button" class="filter-btn" data-filter="${escapeHtml(category.id)}"${category.labelKey ? ` data-i18n="${category.labelKey}"` : ''}>${escapeHtml(category.label)}</button>`)
+        .join('');
+
+    controls.innerHTML = `
+        <div class="portfolio-toolbar">
+            <label class="portfolio-search">
+                <i class="fas fa-search" aria-hidden="true"></i>
+                <input type="search" placeholder="${escapeHtml(t('portfolio.search'))}" aria-label="${escapeHtml(t('portfolio.searchLabel'))}" autocomplete="off"
+                    data-i18n-attr="placeholder:portfolio.search; aria-label:portfolio.searchLabel">
+            </label>
+            <select class="portfolio-match" aria-label="${escapeHtml(t('portfolio.matchLabel'))}" data-i18n-attr="aria-label:portfolio.matchLabel">
+                <option value="any" data-i18n="portfolio.matchAny">${escapeHtml(t('portfolio.matchAny'))}</option>
+                <option value="all" data-i18n="portfolio.matchAll">${escapeHtml(t('portfolio.matchAll'))}</option>
+            </select>
+            <select class="portfolio-sort" aria-label="${escapeHtml(t('portfolio.sortLabel'))}" data-i18n-attr="aria-label:portfolio.sortLabel">
+                ${Object.keys(PORTFOLIO_SORTS).map(id => `<option value="${id}" data-i18n="portfolio.sorts.${id}">${escapeHtml(t(`portfolio.sorts.${id}`))}</option>`).join('')}
+            </select>
+        </div>
+        <div class="portfolio-tags" role="group" aria-label="${escapeHtml(t('portfolio.tagsLabel'))}" data-i18n-attr="aria-label:portfolio.tagsLabel">
+            ${tags.map(tag => `<button type="button" class="tag-btn" data-tag="${escapeHtml(tag.id)}" aria-pressed="false">${escapeHtml(tag.label)}</button>`).join('')}
+        </div>
+        <p class="portfolio-status">
+            <span class="portfolio-count" aria-live="polite"></span>
+            <button type="button" class="portfolio-clear" data-i18n="portfolio.clear" hidden>${escapeHtml(t('portfolio.clear'))}</button>
+        </p>
+    `;
+
+    const searchInput = controls.querySelector('.portfolio-search input');
+    const matchSelect = controls.querySelector('.portfolio-match');
+    const sortSelect = controls.querySelector('.portfolio-sort');
+    const items = new Map([...grid.querySelectorAll('.portfolio-item')].map(item => [item.dataset.slug, item]));
+
+    const apply = ({ animate = true } = {}) => {
+        filterContainer.querySelectorAll('.filter-btn').forEach(button => {
+            const active = button.dataset.filter === state.category;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        controls.querySelectorAll('.tag-btn').forEach(button => {
+            const active = state.tags.includes(button.dataset.tag);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        searchInput.value = state.query;
+        matchSelect.value = state.match;
+        sortSelect.value = state.sort;
+
+        const sorted = data.projects.slice().sort(PORTFOLIO_SORTS[state.sort].compare);
+        let shown = 0;
+        sorted.forEach(project => {
+            const item = items.get(project.slug);
+            grid.appendChild(item);
+            if (projectMatchesFilter(project, state)) {
+                shown++;
+                item.style.display = 'block';
+                if (animate) item.style.animation = 'fadeInUp 0.5s ease forwards';
+            } else {
+                item.style.display = 'none';
             }
+        });
+
+        let empty = grid.querySelector('.portfolio-empty');
+        if (!shown && !empty) {
+            empty = document.createElement('p');
+            empty.className = 'portfolio-empty';
+            setTranslatedText(empty, 'portfolio.empty');
+            grid.appendChild(empty);
+        } else if (shown && empty) {
+            empty.remove();
         }
-    `;
-    document.head.appendChild(style);
+
+        const filtered = shown !== data.projects.length;
+        setTranslatedText(
+            controls.querySelector('.portfolio-count'),
+            filtered ? 'portfolio.countFiltered' : 'portfolio.countAll',
+            { shown, total: data.projects.length }
+        );
+        controls.querySelector('.portfolio-clear').hidden = !filtered && state.sort === DEFAULT_PORTFOLIO_STATE.sort;
+    };
+
+    const update = (changes, options) => {
+        state = { ...state, ...changes };
+        writePortfolioState(state);
+        apply(options);
+    };
+
+    filterContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('.filter-btn');
+        if (button) update({ category: button.dataset.filter });
+    });
+
+    controls.addEventListener('click', (e) => {
+        const tagButton = e.target.closest('.tag-btn');
+        if (tagButton) {
+            const tag = tagButton.dataset.tag;
+            update({ tags: state.tags.includes(tag) ? state.tags.filter(item => item !== tag) : state.tags.concat(tag) });
+        } else if (e.target.closest('.portfolio-clear')) {
+            update({ ...DEFAULT_PORTFOLIO_STATE });
+        }
+    });
+
+    // Typing shouldn't restart the card animation on every keystroke
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => update({ query: searchInput.value.trim() }, { animate: false }), 200);
+    });
+    matchSelect.addEventListener('change', () => update({ match: matchSelect.value }));
+    sortSelect.addEventListener('change', () => update({ sort: sortSelect.value }));
+
+    // Back/forward onto a shared link restores its filters
+    window.addEventListener('popstate', () => {
+        state = readPortfolioState(categories.map(category => category.id), tags.map(tag => tag.id));
+        apply({ animate: false });
+    });
+
+    apply({ animate: false });
+}
+
+function projectMatchesFilter(project, state) {
+    if (state.category !== 'all' && project.category !== state.category) return false;
+
+    if (state.tags.length) {
+        const projectTags = project.tags.map(tagId);
+        const matches = state.match === 'all'
+            ? state.tags.every(tag => projectTags.includes(tag))
+            : state.tags.some(tag => projectTags.includes(tag));
+        if (!matches) return false;
+    }
+
+    // Every search word has to appear somewhere in the card's text
+    const text = [project.title, project.cardLabel, project.summary].concat(project.tags).join(' ').toLowerCase();
+    return state.query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
+
+// Unknown values in a hand-edited link fall back to the defaults
+function readPortfolioState(categoryIds, tagIds) {
+    const params = new URLSearchParams(window.location.search);
+    const category = params.get('category');
+    const sort = params.get('sort');
+
+    return {
+        category: categoryIds.includes(category) ? category : DEFAULT_PORTFOLIO_STATE.category,
+        tags: (params.get('tags') || '').split(',').filter((tag, index, list) => tagIds.includes(tag) && list.indexOf(tag) === index),
+        match: params.get('match') === 'all' ? 'all' : 'any',
+        query: (params.get('q') || '').trim(),
+        sort: Object.keys(PORTFOLIO_SORTS).includes(sort) ? sort : DEFAULT_PORTFOLIO_STATE.sort
+    };
+}
+
+// Only non-default values go in the URL; replaceState keeps filtering out of the back button
+function writePortfolioState(state) {
+    const params = new URLSearchParams(window.location.search);
+    const set = (name, value, isDefault) => (isDefault ? params.delete(name) : params.set(name, value));
+
+    set('category', state.category, state.category === DEFAULT_PORTFOLIO_STATE.category);
+    set('tags', state.tags.join(','), !state.tags.length);
+    set('match', state.match, state.match === DEFAULT_PORTFOLIO_STATE.match || !state.tags.length);
+    set('q', state.query, !state.query);
+    set('sort', state.sort, state.sort === DEFAULT_PORTFOLIO_STATE.sort);
+
+    const search = params.toString().replace(/%2C/g, ',');
+    history.replaceState(history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+}
+
+// "SMS Integration" -> "sms-integration"
+function tagId(tag) {
+    return tag.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
 }
 
 // Counter Animation
@@ -191,15 +588,261 @@ function initCounterAnimation() {
 }
 
 // Form Handling
+const CONTACT_DRAFT_KEY = 'portfolio-contact-draft';
+const CONTACT_DRAFT_SAVE_DELAY_MS = 400;
+// Drafts older than this are dropped rather than restored
+const CONTACT_DRAFT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
 function initFormHandling() {
     const contactForm = document.querySelector('.contact-form');
     const submitButton = document.querySelector('.btn-submit');
     const buttonText = submitButton.querySelector('span');
     const buttonIcon = submitButton.querySelector('i');
     const buttonLoading = submitButton.querySelector('.btn-loading');
+    const schema = window.ContactFormSchema;
+    const contactOutbox = window.ContactOutbox;
+    // Inquiries sent while offline wait here (outbox.js) - null where IndexedDB isn't available
+    const outbox = contactOutbox.isSupported(window) ? contactOutbox.createOutbox(window.indexedDB) : null;
+
+    // Render the form fields from the shared schema (form-schema.js)
+    schema.fields.forEach(field => {
+        contactForm.insertBefore(createFieldGroup(field), submitButton);
+    });
+    contactForm.insertBefore(createBookingGroup(), submitButton);
+    contactForm.insertBefore(createAttachmentGroup(schema.attachments, schema.formatFileSize), submitButton);
+    contactForm.insertBefore(createDraftStatus(), submitButton);
+
+    // Honeypot field - hidden from people, but bots fill it in
+    const honeypot = document.createElement('div');
+    honeypot.className = 'form-honeypot';
+    honeypot.setAttribute('aria-hidden', 'true');
+    honeypot.style.cssText = 'position: absolute; left: -9999px; width: 1px; height: 1px; overflow: hidden;';
+    honeypot.innerHTML = `
+        <label for="website">Leave this field empty</label>
+        <input type="text" id="website" name="website" tabindex="-1" autocomplete="off">
+    `;
+    contactForm.appendChild(honeypot);
+
+    // Signed render timestamp - lets the server reject submissions that arrive too fast
+    let formToken = null;
+    async function refreshFormToken() {
+        try {
+            const response = await fetch(`${API_BASE}/api/contact/token`);
+            const result = await response.json();
+            formToken = result.token;
+        } catch (error) {
+            console.error('Form token error:', error);
+        }
+    }
+    refreshFormToken();
+
+    // Attachments - picked or dropped files are held here until submit
+    const attachmentInput = document.getElementById(schema.attachments.name);
+    const dropzone = contactForm.querySelector('.attachment-dropzone');
+    const attachmentList = contactForm.querySelector('.attachment-list');
+    const uploadProgress = contactForm.querySelector('.upload-progress');
+    let selectedFiles = [];
+
+    function renderAttachmentList() {
+        attachmentList.innerHTML = '';
+        selectedFiles.forEach((file, index) => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <i class="fas fa-file-alt"></i>
+                <span class="attachment-name"></span>
+                <span class="attachment-size">${schema.formatFileSize(file.size)}</span>
+                <button type="button" class="attachment-remove" aria-label="${escapeHtml(t('form.attachments.remove', { file: file.name }))}"
+                    data-i18n-attr="aria-label:form.attachments.remove"${i18nParams({ file: file.name })}>
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+            item.querySelector('.attachment-name').textContent = file.name;
+            item.querySelector('.attachment-remove').addEventListener('click', () => {
+                selectedFiles.splice(index, 1);
+                setFieldError(schema.attachments.name, null);
+                renderAttachmentList();
+            });
+            attachmentList.appendChild(item);
+        });
+    }
+
+    // Keep valid files, report the first problem with the rest
+    function addAttachments(files) {
+        let error = null;
+        Array.from(files).forEach(file => {
+            const fileError = schema.validateAttachment(file, t);
+            if (fileError) {
+                error = error || fileError;
+            } else if (selectedFiles.length >= schema.attachments.maxFiles) {
+                error = error || t('form.attachments.tooMany', { count: schema.attachments.maxFiles });
+            } else {
+                selectedFiles.push(file);
+            }
+        });
+        setFieldError(schema.attachments.name, error);
+        renderAttachmentList();
+    }
+
+    function setUploadProgress(fraction) {
+        const percent = Math.round(fraction * 100);
+        uploadProgress.hidden = false;
+        uploadProgress.querySelector('.upload-progress-bar').style.width = `${percent}%`;
+        uploadProgress.querySelector('.upload-progress-label').textContent = percent < 100
+            ? t('form.attachments.uploading', { percent })
+            : t('form.attachments.processing');
+    }
+
+    dropzone.addEventListener('click', () => attachmentInput.click());
+    attachmentInput.addEventListener('change', () => {
+        addAttachments(attachmentInput.files);
+        // Reset so picking the same file again still fires change
+        attachmentInput.value = '';
+    });
+
+    ['dragenter', 'dragover'].forEach(eventName => {
+        dropzone.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragging');
+        });
+    });
+    ['dragleave', 'drop'].forEach(eventName => {
+        dropzone.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragging');
+        });
+    });
+    dropzone.addEventListener('drop', (e) => addAttachments(e.dataTransfer.files));
+
+    // Discovery-call slot picker - picking a time holds it until the form is sent
+    const bookingGroup = contactForm.querySelector('.booking-group');
+    const bookingDays = bookingGroup.querySelector('.booking-days');
+    const bookingSlots = bookingGroup.querySelector('.booking-slots');
+    const bookingStatus = bookingGroup.querySelector('.booking-status');
+    let availableSlots = [];
+    let selectedDay = null;
+    let heldBooking = null;
+
+    // Slots arrive as UTC instants - group them in the visitor's timezone and
+    // label them in the site's language
+    const localDayKey = (iso) => new Date(iso).toLocaleDateString('en-CA');
+    const formatSlotTime = (iso) => new Date(iso).toLocaleTimeString(currentLocale, { hour: 'numeric', minute: '2-digit' });
+    const formatSlotDay = (iso) => new Date(iso).toLocaleDateString(currentLocale, { weekday: 'short', month: 'short', day: 'numeric' });
+
+    async function loadAvailability() {
+        try {
+            const response = await fetch(`${API_BASE}/api/availability`);
+            const result = await response.json();
+            availableSlots = result.slots || [];
+        } catch (error) {
+            console.error('Availability error:', error);
+            availableSlots = [];
+        }
+        renderBookingPicker();
+    }
+
+    function renderBookingPicker() {
+        // A held slot stays listed even though the server no longer offers it
+        const slots = availableSlots.slice();
+        if (heldBooking && !slots.some(slot => slot.start === heldBooking.start)) {
+            slots.push({ start: heldBooking.start });
+            slots.sort((a, b) => a.start.localeCompare(b.start));
+        }
+
+        bookingGroup.hidden = slots.length === 0;
+        const days = [...new Set(slots.map(slot => localDayKey(slot.start)))];
+        if (!days.includes(selectedDay)) {
+            selectedDay = heldBooking ? localDayKey(heldBooking.start) : days[0];
+        }
+
+        bookingDays.innerHTML = '';
+        days.forEach(day => {
+            const firstSlot = slots.find(slot => localDayKey(slot.start) === day);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `booking-day${day === selectedDay ? ' active' : ''}`;
+            button.textContent = formatSlotDay(firstSlot.start);
+            button.setAttribute('aria-pressed', day === selectedDay ? 'true' : 'false');
+            button.addEventListener('click', () => {
+                selectedDay = day;
+                renderBookingPicker();
+            });
+            bookingDays.appendChild(button);
+        });
+
+        bookingSlots.innerHTML = '';
+        slots.filter(slot => localDayKey(slot.start) === selectedDay).forEach(slot => {
+            const isHeld = !!heldBooking && heldBooking.start === slot.start;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `booking-slot${isHeld ? ' selected' : ''}`;
+            button.textContent = formatSlotTime(slot.start);
+            button.setAttribute('aria-pressed', isHeld ? 'true' : 'false');
+            button.addEventListener('click', () => selectSlot(slot));
+            bookingSlots.appendChild(button);
+        });
+
+        if (heldBooking) {
+            setTranslatedText(bookingStatus, 'form.booking.held', {
+                day: formatSlotDay(heldBooking.start),
+                time: formatSlotTime(heldBooking.start)
+            });
+        } else {
+            setTranslatedText(bookingStatus, 'form.booking.optional');
+        }
+    }
+
+    function releaseHold() {
+        if (!heldBooking) return Promise.resolve();
+
+        const { id, holdToken } = heldBooking;
+        heldBooking = null;
+        return fetch(`${API_BASE}/api/bookings/${id}`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json', 'Accept-Language': currentLocale },
+            body: JSON.stringify({ holdToken })
+        }).catch(error => console.error('Release hold error:', error));
+    }
+
+    // Hold the picked slot (or let it go when it's clicked again)
+    async function selectSlot(slot) {
+        setFieldError('booking', null);
+        const wasHeld = heldBooking && heldBooking.start === slot.start;
+        await releaseHold();
+        if (wasHeld) {
+            renderBookingPicker();
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/api/bookings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept-Language': currentLocale },
+                body: JSON.stringify({
+                    start: slot.start,
+                    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+                })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                heldBooking = { id: result.booking.id, start: result.booking.start, holdToken: result.holdToken };
+            } else {
+                if (result.slots) availableSlots = result.slots;
+                setFieldError('booking', result.message);
+            }
+        } catch (error) {
+            console.error('Booking hold error:', error);
+            setFieldError('booking', t('form.booking.unavailable'));
+        }
+        renderBookingPicker();
+    }
+
+    loadAvailability();
+    // Day and time labels are formatted for the language
+    document.addEventListener('localechange', renderBookingPicker);
 
     // Form input animations
-    const inputs = document.querySelectorAll('.form-group input, .form-group textarea');
+    const inputs = document.querySelectorAll('.form-group input:not([type="file"]):not([type="hidden"]), .form-group select, .form-group textarea');
     inputs.forEach(input => {
         // Handle focus and blur events for label animation
         input.addEventListener('focus', () => {
@@ -210,30 +853,168 @@ function initFormHandling() {
             if (!input.value) {
                 input.parentNode.classList.remove('focused');
             }
+
+            // Validate once the visitor has had a go at the field
+            if (input.value) {
+                const { error } = schema.validateField(schema.getField(input.name), input.value, t);
+                setFieldError(input.name, error);
+            }
         });
 
+        // Clear a field's error as soon as it's edited
+        input.addEventListener('input', () => setFieldError(input.name, null));
+
         // Check if input has value on page load
         if (input.value) {
             input.parentNode.classList.add('focused');
         }
     });
 
+    // Draft autosave - what's typed is kept in localStorage until it has been
+    // sent, so a refresh or a wrong click doesn't lose a long project description.
+    // An inquiry saved to the outbox keeps its draft, marked with the entry's
+    // queuedId, until the outbox reports that entry sent
+    const draftStatus = contactForm.querySelector('.form-draft');
+    const draftStatusText = draftStatus.querySelector('.form-draft-text');
+
+    function readDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(CONTACT_DRAFT_KEY));
+            if (!draft || !draft.values || Date.now() - Date.parse(draft.savedAt) > CONTACT_DRAFT_MAX_AGE_MS) {
+                return null;
+            }
+            return draft;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function removeDraft() {
+        try {
+            localStorage.removeItem(CONTACT_DRAFT_KEY);
+        } catch (error) {
+            // Storage is unavailable (private browsing) - there's nothing to remove
+        }
+        draftStatus.hidden = true;
+    }
+
+    function draftValues() {
+        const values = {};
+        schema.fields.forEach(field => {
+            const value = document.getElementById(field.name).value;
+            if (value) values[field.name] = value;
+        });
+        return values;
+    }
+
+    function writeDraft(draft) {
+        try {
+            localStorage.setItem(CONTACT_DRAFT_KEY, JSON.stringify({ ...draft, savedAt: new Date().toISOString() }));
+            return true;
+        } catch (error) {
+            console.error('Draft save error:', error);
+            return false;
+        }
+    }
+
+    // Save the schema fields as they are now - an empty form leaves no draft,
+    // though a queued inquiry's draft stays until it has been sent
+    function saveDraft() {
+        const values = draftValues();
+        if (!Object.keys(values).length) {
+            const draft = readDraft();
+            if (!draft || !draft.queuedId) removeDraft();
+            return;
+        }
+
+        if (!writeDraft({ values })) return;
+        setTranslatedText(draftStatusText, 'form.draft.saved');
+        draftStatus.hidden = false;
+    }
+
+    // Keep what was just queued in the outbox, without offering it back in the form
+    function markDraftQueued(queuedId) {
+        writeDraft({ values: draftValues(), queuedId });
+        draftStatus.hidden = true;
+    }
+
+    // Drop a queued inquiry's draft once its outbox entry is no longer waiting:
+    // sent, since one the server rejects stays in the outbox until it's back in the form
+    async function settleQueuedDraft() {
+        const draft = readDraft();
+        if (!draft || !draft.queuedId) return;
+        const entries = await outbox.list();
+        if (!entries.some(entry => entry.id === draft.queuedId)) removeDraft();
+    }
+
+    const saveDraftSoon = debounce(saveDraft, CONTACT_DRAFT_SAVE_DELAY_MS);
+    ['input', 'change'].forEach(eventName => {
+        contactForm.addEventListener(eventName, (e) => {
+            if (schema.getField(e.target.name)) saveDraftSoon();
+        });
+    });
+    // Catch the last few keystrokes when the visitor leaves mid-sentence
+    window.addEventListener('pagehide', saveDraft);
+
+    // Put a saved draft back, without overwriting anything already filled in
+    function restoreDraft() {
+        const draft = readDraft();
+        if (!draft) {
+            removeDraft();
+            return;
+        }
+        // Still in the outbox - putting it back in the form would send it twice
+        if (draft.queuedId) return;
+
+        schema.fields.forEach(field => {
+            const input = document.getElementById(field.name);
+            const value = draft.values[field.name];
+            if (value && !input.value) {
+                input.value = value;
+                input.parentNode.classList.add('focused');
+            }
+        });
+        setTranslatedText(draftStatusText, 'form.draft.restored');
+        draftStatus.hidden = false;
+    }
+
+    draftStatus.querySelector('.form-draft-clear').addEventListener('click', () => {
+        removeDraft();
+        schema.fields.forEach(field => {
+            const input = document.getElementById(field.name);
+            input.value = '';
+            input.parentNode.classList.remove('focused');
+            setFieldError(field.name, null);
+        });
+        document.getElementById(schema.fields[0].name).focus();
+    });
+
+    restoreDraft();
+
     // Form submission
     contactForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         
         // Get form data
         const formData = new FormData(contactForm);
-        const data = {
-            name: formData.get('name'),
-            email: formData.get('email'),
-            budget: formData.get('budget'),
-            message: formData.get('message')
-        };
+        const data = {};
+        schema.fields.forEach(field => {
+            data[field.name] = formData.get(field.name);
+        });
+        data.website = formData.get('website');
+        data.formToken = formToken;
+        // Replies (and the auto-reply email) come back in the visitor's language
+        data.locale = currentLocale;
+        if (heldBooking) {
+            data.bookingId = heldBooking.id;
+            data.bookingHoldToken = heldBooking.holdToken;
+        }
 
-        // Basic validation
-        if (!data.name || !data.email || !data.message) {
-            showErrorMessage('Please fill in all required fields.');
+        // Validate against the same schema the server uses
+        const { errors } = schema.validate(data, t);
+        showFieldErrors(errors);
+        if (Object.keys(errors).length) {
+            showErrorMessage(t('form.status.invalid'));
             return;
         }
 
@@ -243,38 +1024,50 @@ function initFormHandling() {
         buttonIcon.style.opacity = '0';
         buttonLoading.style.opacity = '1';
 
-        try {
-            // Auto-detect API endpoint based on environment
-            const API_BASE = window.location.hostname === 'localhost' 
-                ? 'http://localhost:3000' 
-                : 'https://abhishekdevportfolio-production.up.railway.app';
-            
-            // Send to backend API
-            const response = await fetch(`${API_BASE}/api/contact`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(data)
-            });
+        // Multipart, so attachments travel with the fields - kept as pairs so
+        // the same body can be queued in the outbox
+        const parts = Object.entries(data).map(([key, value]) => [key, value || '']);
+        selectedFiles.forEach(file => parts.push([schema.attachments.name, file]));
 
-            const result = await response.json();
+        try {
+            const result = await postWithProgress(
+                `${API_BASE}/api/contact`,
+                contactOutbox.toFormData({ parts }),
+                selectedFiles.length ? setUploadProgress : null
+            );
 
             if (result.success) {
                 showSuccessMessage(result.message);
-                contactForm.reset();
-                // Clear focused states
-                document.querySelectorAll('.form-group').forEach(group => {
-                    group.classList.remove('focused');
-                });
+                removeDraft();
+                resetForm();
             } else {
+                showFieldErrors(result.errors || {});
                 showErrorMessage(result.message);
+                // The held slot was lost - offer what's still open
+                if (result.errors && result.errors.booking) {
+                    heldBooking = null;
+                    loadAvailability();
+                }
             }
         } catch (error) {
             console.error('Form submission error:', error);
-            showErrorMessage('Unable to connect to server. Please try again or email me directly at abhishek.dev694@gmail.com');
+            if (error.reply) {
+                // The API answered but failed - say why rather than queueing the same request again
+                showErrorMessage(error.reply.message);
+            } else {
+                // Offline - keep the inquiry on this device rather than losing what was typed
+                const queued = await queueInquiry(parts);
+                if (queued) {
+                    showQueuedMessage();
+                    markDraftQueued(queued.id);
+                    resetForm();
+                } else {
+                    showErrorMessage(t('form.status.offline'));
+                }
+            }
         } finally {
             // Reset button state
+            uploadProgress.hidden = true;
             submitButton.disabled = false;
             buttonText.style.opacity = '1';
             buttonIcon.style.opacity = '1';
@@ -282,6 +1075,134 @@ function initFormHandling() {
         }
     });
 
+    // Clear the form for the next message
+    function resetForm() {
+        contactForm.reset();
+        selectedFiles = [];
+        renderAttachmentList();
+        heldBooking = null;
+        loadAvailability();
+        refreshFormToken();
+        // Clear focused states
+        document.querySelectorAll('.form-group').forEach(group => {
+            group.classList.remove('focused');
+        });
+    }
+
+    // Store an inquiry that couldn't be sent - resolves with its outbox entry,
+    // or null if there's nowhere to keep it
+    async function queueInquiry(parts) {
+        if (!outbox) return null;
+        let entry;
+        try {
+            entry = await outbox.add({ url: `${API_BASE}/api/contact`, parts });
+        } catch (error) {
+            console.error('Outbox error:', error);
+            return null;
+        }
+
+        // Background Sync lets the service worker send it even after the tab is closed
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.ready
+                .then(registration => registration.sync && registration.sync.register(contactOutbox.SYNC_TAG))
+                .catch(error => console.error('Background sync error:', error));
+        }
+        return entry;
+    }
+
+    // Send queued inquiries from the page - on each visit and when the connection
+    // returns, for browsers without Background Sync
+    async function flushOutbox() {
+        if (!outbox) return;
+        try {
+            // Each entry gets a new form token - the one it was queued with may be empty or expired
+            const getToken = url => fetch(url, { cache: 'no-store' }).then(response => response.json());
+            const { sent } = await outbox.flush(async (entry) => {
+                const ready = await contactOutbox.withFreshToken(entry, getToken);
+                return postWithProgress(entry.url, contactOutbox.toFormData(ready), null);
+            });
+            if (sent.length) {
+                showSuccessMessage(sent.length === 1
+                    ? t('form.status.queuedSent')
+                    : t('form.status.queuedSentMany', { count: sent.length }));
+            }
+            await settleQueuedDraft();
+            await restoreRejectedInquiry();
+        } catch (error) {
+            console.error('Outbox error:', error);
+        }
+    }
+
+    // A queued inquiry the server turned down goes back into the form so the
+    // visitor can fix it and send it again - unless they're already typing a new one
+    async function restoreRejectedInquiry() {
+        const rejected = (await outbox.list()).find(entry => entry.status === 'failed');
+        const formInUse = schema.fields.some(field => document.getElementById(field.name).value);
+        if (!rejected || formInUse) return;
+
+        const files = [];
+        rejected.parts.forEach(([name, value]) => {
+            if (name === schema.attachments.name) {
+                files.push(value);
+            } else if (schema.getField(name)) {
+                const input = document.getElementById(name);
+                input.value = value;
+                if (value) input.parentNode.classList.add('focused');
+            }
+        });
+        selectedFiles = [];
+        addAttachments(files);
+        saveDraft();
+
+        await outbox.remove(rejected.id);
+        showFieldErrors(rejected.error.errors);
+        showErrorMessage(t('form.status.queuedRejected', { reason: rejected.error.message }));
+    }
+
+    window.addEventListener('online', () => {
+        if (!formToken) refreshFormToken();
+        flushOutbox();
+    });
+
+    // The service worker reports what it sent in the background
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (!e.data || e.data.type !== 'outbox-flushed') return;
+            if (e.data.sent) {
+                showSuccessMessage(t('form.status.queuedSent'));
+                settleQueuedDraft().catch(error => console.error('Outbox error:', error));
+            }
+            if (e.data.failed) {
+                restoreRejectedInquiry().catch(error => console.error('Outbox error:', error));
+            }
+        });
+    }
+
+    flushOutbox();
+
+    // Show or clear the inline error under one field
+    function setFieldError(fieldName, error) {
+        const input = contactForm.querySelector(`[name="${fieldName}"]`);
+        const errorElement = document.getElementById(`${fieldName}-error`);
+        if (!input || !errorElement) return;
+
+        input.parentNode.classList.toggle('has-error', !!error);
+        input.setAttribute('aria-invalid', error ? 'true' : 'false');
+        errorElement.textContent = error || '';
+    }
+
+    // Apply a { field: message } map, clearing fields that are now valid
+    function showFieldErrors(errors) {
+        schema.fields.forEach(field => setFieldError(field.name, errors[field.name]));
+        setFieldError(schema.attachments.name, errors[schema.attachments.name]);
+        setFieldError('booking', errors.booking);
+
+        const firstInvalid = schema.fields.find(field => errors[field.name]);
+        if (firstInvalid) {
+            document.getElementById(firstInvalid.name).focus();
+        }
+    }
+
     // Remove any existing form messages
     function clearExistingMessages() {
         const existingMessages = contactForm.querySelectorAll('.form-message');
@@ -295,8 +1216,9 @@ function initFormHandling() {
         message.className = 'form-message success';
         message.innerHTML = `
             <i class="fas fa-check-circle"></i>
-            <span>${customMessage || 'Thank you! Your message has been sent successfully. I\'ll get back to you within 24 hours.'}</span>
+            <span></span>
         `;
+        message.querySelector('span').textContent = customMessage || t('form.status.sent');
         
         contactForm.appendChild(message);
         
@@ -305,15 +1227,31 @@ function initFormHandling() {
         }, 7000);
     }
 
-    // Error message
+    // Queued message - the inquiry is saved and will be sent once the connection is back
+    function showQueuedMessage() {
+        clearExistingMessages();
+        const message = document.createElement('div');
+        message.className = 'form-message queued';
+        message.innerHTML = `
+            <i class="fas fa-inbox"></i>
+            <span></span>
+        `;
+        message.querySelector('span').textContent = t('form.status.queued');
+
+        contactForm.appendChild(message);
+    }
+
+    // Error message - set as text, since the server's reasons can quote what
+    // the visitor sent (a file name, say)
     function showErrorMessage(customMessage) {
         clearExistingMessages();
         const message = document.createElement('div');
         message.className = 'form-message error';
         message.innerHTML = `
             <i class="fas fa-exclamation-circle"></i>
-            <span>${customMessage || 'Oops! There was an error sending your message. Please try again or contact me directly at abhishek.dev694@gmail.com'}</span>
+            <span></span>
         `;
+        message.querySelector('span').textContent = customMessage || t('form.status.error');
         
         contactForm.appendChild(message);
         
@@ -321,63 +1259,182 @@ function initFormHandling() {
             message.remove();
         }, 7000);
     }
+}
 
-    // Add CSS for form messages
-    const messageStyles = document.createElement('style');
-    messageStyles.textContent = `
-        .form-message {
-            display: flex;
-            align-items: center;
-            gap: 1rem;
-            padding: 1rem;
-            border-radius: 0.5rem;
-            margin-top: 1rem;
-            font-weight: 500;
-            animation: slideInUp 0.3s ease;
-        }
-        
-        .form-message.success {
-            background: #d1fae5;
-            color: #065f46;
-            border: 1px solid #a7f3d0;
-        }
-        
-        .form-message.error {
-            background: #fef2f2;
-            color: #991b1b;
-            border: 1px solid #fecaca;
-        }
-        
-        .form-message i {
-            font-size: 1.25rem;
+// Build one .form-group (control + floating label + inline error) from a schema field
+function createFieldGroup(field) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    // The field's text comes from form.fields.<name> in the catalogs
+    const textKey = `form.fields.${field.name}`;
+
+    let control;
+    if (field.type === 'select') {
+        control = document.createElement('select');
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        setTranslatedText(placeholder, field.placeholder ? `${textKey}.placeholder` : `${textKey}.label`);
+        control.appendChild(placeholder);
+        field.options.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.value;
+            setTranslatedText(optionElement, `${textKey}.options.${option.value}`);
+            control.appendChild(optionElement);
+        });
+    } else if (field.type === 'textarea') {
+        control = document.createElement('textarea');
+        control.rows = field.rows || 5;
+    } else {
+        control = document.createElement('input');
+        control.type = field.type;
+    }
+
+    control.id = field.name;
+    control.name = field.name;
+    control.required = !!field.required;
+    control.setAttribute('aria-describedby', `${field.name}-error`);
+    if (field.maxLength) control.maxLength = field.maxLength;
+    if (field.autocomplete) control.autocomplete = field.autocomplete;
+
+    const label = document.createElement('label');
+    label.htmlFor = field.name;
+    setTranslatedText(label, `${textKey}.label`);
+
+    const error = document.createElement('span');
+    error.className = 'field-error';
+    error.id = `${field.name}-error`;
+    error.setAttribute('aria-live', 'polite');
+
+    group.append(control, label, error);
+    return group;
+}
+
+// Build the (initially empty) discovery-call slot picker
+function createBookingGroup() {
+    const group = document.createElement('div');
+    group.className = 'form-group booking-group';
+    group.hidden = true;
+
+    group.innerHTML = `
+        <input type="hidden" id="booking" name="booking" aria-describedby="booking-error">
+        <div class="booking-header">
+            <i class="fas fa-calendar-alt"></i>
+            <strong data-i18n="form.booking.title">${escapeHtml(t('form.booking.title'))}</strong>
+        </div>
+        <p class="booking-status" aria-live="polite"></p>
+        <div class="booking-days"></div>
+        <div class="booking-slots"></div>
+        <span class="field-error" id="booking-error" aria-live="polite"></span>
+    `;
+
+    return group;
+}
+
+// Draft status under the fields, with the control that throws the draft away
+function createDraftStatus() {
+    const status = document.createElement('p');
+    status.className = 'form-draft';
+    status.hidden = true;
+
+    status.innerHTML = `
+        <i class="fas fa-save" aria-hidden="true"></i>
+        <span class="form-draft-text" aria-live="polite"></span>
+        <button type="button" class="form-draft-clear" data-i18n="form.draft.clear">${escapeHtml(t('form.draft.clear'))}</button>
+    `;
+
+    return status;
+}
+
+// Build the drag-and-drop attachment area from the schema's attachment rules
+function createAttachmentGroup(rules, formatFileSize) {
+    const group = document.createElement('div');
+    group.className = 'form-group attachment-group';
+
+    const extensions = rules.types.map(type => type.extension);
+    const hint = {
+        count: rules.maxFiles,
+        size: formatFileSize(rules.maxFileSizeBytes),
+        types: extensions.map(extension => extension.slice(1).toUpperCase()).join(', ')
+    };
+
+    group.innerHTML = `
+        <input type="file" id="${rules.name}" name="${rules.name}" class="attachment-input" multiple
+            accept="${extensions.join(',')}" aria-labelledby="${rules.name}-prompt" aria-describedby="${rules.name}-hint ${rules.name}-error">
+        <div class="attachment-dropzone">
+            <i class="fas fa-cloud-upload-alt"></i>
+            <span id="${rules.name}-prompt" data-i18n-html="form.attachments.promptHtml">${t('form.attachments.promptHtml')}</span>
+            <small id="${rules.name}-hint" data-i18n="form.attachments.hint"${i18nParams(hint)}>${escapeHtml(t('form.attachments.hint', hint))}</small>
+        </div>
+        <ul class="attachment-list"></ul>
+        <div class="upload-progress" hidden>
+            <div class="upload-progress-track"><div class="upload-progress-bar"></div></div>
+            <span class="upload-progress-label" aria-live="polite"></span>
+        </div>
+        <span class="field-error" id="${rules.name}-error" aria-live="polite"></span>
+    `;
+
+    return group;
+}
+
+// POST a FormData body and resolve with the JSON reply - XHR because fetch()
+// can't report upload progress. onProgress receives a 0-1 fraction. Rejects
+// when the API can't be reached or can't handle the request right now: a
+// network error, a reply that isn't JSON (a proxy's 502 page) or a 5xx, whose
+// JSON reply (if any) is on the error's `reply`.
+function postWithProgress(url, body, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', url);
+        xhr.responseType = 'json';
+        // The server reads the locale field only after parsing the body - errors
+        // raised before that (rate limits, uploads) go by this header
+        xhr.setRequestHeader('Accept-Language', currentLocale);
+
+        if (onProgress) {
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) onProgress(e.loaded / e.total);
+            });
         }
-        
-        @keyframes slideInUp {
-            from {
-                opacity: 0;
-                transform: translateY(20px);
-            }
-            to {
-                opacity: 1;
-                transform: translateY(0);
+
+        xhr.addEventListener('load', () => {
+            if (xhr.response && xhr.status < 500) {
+                resolve(xhr.response);
+                return;
             }
-        }
-    `;
-    document.head.appendChild(messageStyles);
+            const error = new Error(`Server error ${xhr.status}`);
+            error.reply = xhr.response;
+            reject(error);
+        });
+        xhr.addEventListener('error', () => reject(new Error('Network error')));
+        xhr.send(body);
+    });
+}
+
+// Service worker - offline viewing and background delivery of queued inquiries (sw.js)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js', { updateViaCache: 'none' })
+            .catch(error => console.error('Service worker error:', error));
+    });
 }
 
 // Intersection Observer for animations
+let fadeInObserver = null;
+
 function initIntersectionObserver() {
     const observerOptions = {
         threshold: 0.1,
         rootMargin: '0px 0px -50px 0px'
     };
 
-    const observer = new IntersectionObserver((entries) => {
+    fadeInObserver = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
                 entry.target.classList.add('visible');
-                observer.unobserve(entry.target);
+                fadeInObserver.unobserve(entry.target);
             }
         });
     }, observerOptions);
@@ -393,15 +1450,32 @@ function initIntersectionObserver() {
         .tech-orbit
     `);
 
-    animatedElements.forEach((el, index) => {
+    observeFadeIn(animatedElements);
+}
+
+// Fade elements in as they scroll into view - also used for content rendered later
+function observeFadeIn(elements) {
+    if (!fadeInObserver) return;
+
+    elements.forEach((el, index) => {
         el.classList.add('fade-in');
         el.style.transitionDelay = `${index * 0.1}s`;
-        observer.observe(el);
+        fadeInObserver.observe(el);
     });
 }
 
 // Utility Functions
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function scrollToSection(selector) {
+    leaveCaseStudy();
     const element = document.querySelector(selector);
     if (element) {
         const offsetTop = element.offsetTop - 80;
@@ -474,21 +1548,6 @@ function activateEasterEgg() {
     const logo = document.querySelector('.logo-text');
     logo.style.animation = 'rainbow 2s ease-in-out infinite';
     
-    // Add CSS for rainbow animation
-    const rainbowStyle = document.createElement('style');
-    rainbowStyle.textContent = `
-        @keyframes rainbow {
-            0% { color: #ff0000; }
-            16.666% { color: #ff8000; }
-            33.333% { color: #ffff00; }
-            50% { color: #00ff00; }
-            66.666% { color: #0080ff; }
-            83.333% { color: #8000ff; }
-            100% { color: #ff0000; }
-        }
-    `;
-    document.head.appendChild(rainbowStyle);
-    
     // Show easter egg message
     const message = document.createElement('div');
     message.innerHTML = '🎉 Easter egg activated! You found the secret code! 🚀';
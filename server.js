@@ -1,244 +1,585 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
 const cors = require('cors');
 const helmet = require('helmet');
+const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const bodyParser = require('body-parser');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config();
-const sgMail = require('@sendgrid/mail')
-sgMail.setApiKey(process.env.SENDGRID_EMAIL_KEY);
+const crypto = require('crypto');
+const { loadConfig, ConfigError } = require('./lib/config');
+const { logger, requestIdMiddleware } = require('./lib/logger');
+const { createInquiryStore } = require('./lib/inquiry-store');
+const { createAdminRouter } = require('./lib/admin-routes');
+const { createEmailQueue } = require('./lib/email-queue');
+const { createMailTransport, describeSendError } = require('./lib/mail-transport');
+const { createAttachmentStore } = require('./lib/attachments');
+const { loadAvailability } = require('./lib/availability');
+const { createBookingService } = require('./lib/bookings');
+const { createBookingRouter } = require('./lib/booking-routes');
+const { toInviteAttachment } = require('./lib/ics');
+const { createProjectSource } = require('./lib/projects');
+const { createProjectRouter } = require('./lib/project-routes');
+const { loadEnvironments, createOriginMatcher, corsOriginsFor } = require('./lib/environments');
+const { createStaticSite, buildContentSecurityPolicy } = require('./lib/static-site');
+const { renderEmail, buildInquiryVariables } = require('./lib/email-templates');
+const { createDevRouter } = require('./lib/dev-routes');
+const { createHealthChecks } = require('./lib/health');
+const { createMetrics } = require('./lib/metrics');
+const contactFormSchema = require('./form-schema');
+const i18n = require('./i18n');
+const { createFormToken, verifyFormToken, scoreInquiry, DEFAULT_BLOCKLIST } = require('./lib/spam-guard');
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+/**
+ * createApp({ env, mailTransport })
+ * Builds the Express app and everything behind it from `env` (process.env and
+ * .env by default) without listening, so tests can drive it in-process with a
+ * stub mail transport. Throws a ConfigError for invalid settings.
+ */
+const createApp = ({ env = process.env, mailTransport: transport = null } = {}) => {
+    // Configuration - validated up front so a bad deploy fails at startup
+    const config = loadConfig(env);
+    const availability = loadAvailability(config.bookings.availabilityPath);
+    const projectSource = createProjectSource();
+    const environments = loadEnvironments();
+    const staticSite = config.frontend.enabled ? createStaticSite(config.frontend.dir) : null;
 
-// Trust proxy - REQUIRED for Railway, Heroku, etc.
-app.set('trust proxy', 1);
+    logger.configure(config.logging);
 
-// Template utility functions
-const loadTemplate = (templateName, format = 'html') => {
-    const templatePath = path.join(__dirname, 'templates', 'emails', `${templateName}.${format}`);
-    try {
-        return fs.readFileSync(templatePath, 'utf8');
-    } catch (error) {
-        console.error(`❌ Error loading template ${templateName}.${format}:`, error.message);
-        throw new Error(`Template ${templateName}.${format} not found`);
-    }
-};
+    const app = express();
 
-const renderTemplate = (template, variables) => {
-    let rendered = template;
-    for (const [key, value] of Object.entries(variables)) {
-        const regex = new RegExp(`{{${key}}}`, 'g');
-        rendered = rendered.replace(regex, value || 'Not specified');
-    }
-    return rendered;
-};
+    // Trust proxy - REQUIRED for Railway, Heroku, etc.
+    app.set('trust proxy', 1);
+
+    // Mail transport - sendgrid | smtp | file (.eml files on disk, for local dev), or a test stub
+    const mailTransport = transport || createMailTransport(config.mail.transport, config.mail);
 
-// Security middleware
-app.use(helmet());
-
-// Rate limiting - 5 emails per hour per IP
-const emailLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 5, // limit each IP to 5 requests per windowMs
-    message: {
-        success: false,
-        message: 'Too many emails sent from this IP. Please try again later.'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-});
-
-// Middleware
-app.use(cors({
-    origin: [
-        'http://localhost:8000', 
-        'http://127.0.0.1:8000', 
-        'https://abhishekgoel.dev',
-        'https://getsoftware.netlify.app'
-    ],
-    credentials: true
-}));
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        success: true, 
-        message: 'Portfolio API is running!',
-        timestamp: new Date().toISOString()
+    // Inquiry store - every submission is persisted before any email is attempted
+    const inquiryStore = createInquiryStore(config.storage.inquiryStorePath);
+
+    // The visitor's language - the locale the contact form sends, otherwise the
+    // Accept-Language header. The page sets that header to the language it's
+    // showing, which is what the rate limiter sees before multer parses a multipart body
+    const localeFor = (req) => {
+        if (req.body && i18n.isSupported(req.body.locale)) return req.body.locale;
+        return req.acceptsLanguages(i18n.LOCALES.map(locale => locale.code)) || i18n.DEFAULT_LOCALE;
+    };
+    const translatorFor = (req) => i18n.createTranslator(localeFor(req));
+
+    // Attachments - files uploaded with an inquiry are kept on local disk
+    const attachmentStore = createAttachmentStore(config.storage.uploadDir, { translatorFor });
+
+    // Discovery-call bookings - slots come from config/availability.json
+    const bookings = createBookingService(config.storage.bookingStorePath, {
+        availability,
+        timeZone: config.timezone
     });
-});
 
-// Contact form endpoint
-app.post('/api/contact', emailLimiter, async (req, res) => {
-    try {
-        const { name, email, budget, message } = req.body;
+    // Record an email's delivery progress on the stored inquiry
+    const recordDelivery = (inquiryId, deliveryKey, delivery) => {
+        if (!inquiryId) return;
+        try {
+            inquiryStore.update(inquiryId, { delivery: { [deliveryKey]: delivery } });
+        } catch (error) {
+            logger.error('Failed to record email delivery', { inquiryId, deliveryKey, error: error.message });
+        }
+    };
 
-        // Input validation
-        if (!name || !email || !message) {
-            return res.status(400).json({
+    // Email queue - emails are sent in the background with retries and a dead-letter list
+    const emailQueue = createEmailQueue(
+        config.storage.emailQueuePath,
+        {
+            send: (mailOptions) => mailTransport.send(mailOptions),
+            maxAttempts: config.queue.maxAttempts,
+            baseDelayMs: config.queue.baseDelayMs,
+            onSent: (job) => {
+                metrics.recordEmailSend(job.kind, 'success');
+                recordDelivery(job.inquiryId, job.kind, {
+                    status: 'sent',
+                    jobId: job.id,
+                    attempts: job.attempts.length,
+                    sentAt: job.sentAt,
+                    lastError: null,
+                    nextAttemptAt: null
+                });
+            },
+            onAttemptFailed: (job, error) => {
+                metrics.recordEmailSend(job.kind, 'failure');
+                recordDelivery(job.inquiryId, job.kind, {
+                    status: 'retrying',
+                    jobId: job.id,
+                    attempts: job.attempts.length,
+                    lastError: error.message,
+                    nextAttemptAt: job.nextAttemptAt,
+                    failedAt: null
+                });
+            },
+            onDead: (job, error) => {
+                metrics.recordEmailSend(job.kind, 'dead');
+                recordDelivery(job.inquiryId, job.kind, {
+                    status: 'failed',
+                    jobId: job.id,
+                    attempts: job.attempts.length,
+                    lastError: error.message,
+                    failedAt: job.deadAt
+                });
+            }
+        }
+    );
+
+    // Prometheus metrics
+    const metrics = createMetrics({ emailQueue, inquiryStore });
+
+    // Spam protection - signed form tokens, honeypot and content scoring
+    const formTokenSecret = config.spam.formTokenSecret || crypto.randomBytes(32).toString('hex');
+    const spamSettings = {
+        ...config.spam,
+        blocklist: DEFAULT_BLOCKLIST.concat(config.spam.extraBlocklist)
+    };
+
+    // Security middleware - the CSP allows the Google Fonts / Font Awesome the pages
+    // load and the build's inline critical CSS
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: buildContentSecurityPolicy({
+                styleHashes: staticSite ? staticSite.styleHashes : [],
+                apiOrigins: staticSite ? staticSite.apiOrigins : [],
+                upgradeInsecureRequests: config.isDeployed
+            })
+        }
+    }));
+    app.use(compression());
+
+    // Rate limiting - RATE_LIMIT_MAX emails per RATE_LIMIT_WINDOW_MINUTES per IP (default 5/hour)
+    const emailLimiter = rateLimit({
+        windowMs: config.rateLimit.windowMs,
+        max: config.rateLimit.max,
+        standardHeaders: true,
+        legacyHeaders: false,
+        handler: (req, res, next, options) => {
+            metrics.recordRejection('rate_limited');
+            res.status(options.statusCode).json({
                 success: false,
-                message: 'Please fill in all required fields (name, email, message).'
+                message: translatorFor(req)('api.rateLimited')
             });
         }
+    });
 
-        // Email validation regex
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({
+    // Slot holds - looser than the email limit since visitors may try a few times
+    const holdLimiter = rateLimit({
+        windowMs: config.rateLimit.windowMs,
+        max: config.bookings.holdRateLimitMax,
+        standardHeaders: true,
+        legacyHeaders: false,
+        handler: (req, res, next, options) => {
+            res.status(options.statusCode).json({
                 success: false,
-                message: 'Please enter a valid email address.'
+                message: translatorFor(req)('api.booking.rateLimited')
             });
         }
+    });
+
+    // Middleware
+    app.use(requestIdMiddleware(logger));
+    app.use(metrics.middleware);
+    // CORS - the site origins for this environment from config/environments.json;
+    // in development any localhost or LAN origin too
+    const allowedOrigins = corsOriginsFor(environments, config.env, config.extraOrigins);
+    const originMatcher = createOriginMatcher(allowedOrigins, { allowLocalNetwork: !config.isDeployed });
+
+    app.use(cors({
+        origin: originMatcher.origin,
+        credentials: true,
+        exposedHeaders: ['X-Request-Id']
+    }));
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: true }));
 
-        // Create transporter with error handling
-        console.log('🔧 Creating email transporter...');
-
-        // Load and render email templates
-        const submissionTime = new Date().toLocaleString('en-US', { 
-            timeZone: 'America/New_York',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        }) + ' EST';
-
-        const templateVariables = {
-            CLIENT_NAME: name,
-            CLIENT_EMAIL: email,
-            CLIENT_BUDGET: budget || 'Not specified',
-            CLIENT_MESSAGE: message,
-            DEVELOPER_EMAIL: process.env.EMAIL_USER || 'abhishek.dev694@gmail.com',
-            SUBMISSION_TIME: submissionTime
-        };
-
-        // Load and render notification email templates
-        const notificationHtmlTemplate = loadTemplate('notification', 'html');
-        const notificationTextTemplate = loadTemplate('notification', 'txt');
-        const clientEmailHtml = renderTemplate(notificationHtmlTemplate, templateVariables);
-        const clientEmailText = renderTemplate(notificationTextTemplate, templateVariables);
-
-        // Load and render auto-reply email templates
-        const autoReplyHtmlTemplate = loadTemplate('auto-reply', 'html');
-        const autoReplyTextTemplate = loadTemplate('auto-reply', 'txt');
-        const autoReplyHtml = renderTemplate(autoReplyHtmlTemplate, templateVariables);
-        const autoReplyText = renderTemplate(autoReplyTextTemplate, templateVariables);
-
-        // Send email to you (notification)
-        const clientMailOptions = {
-            from: `"${name} via Portfolio" <${process.env.EMAIL_USER || 'abhishek.dev694@gmail.com'}>`,
-            to: 'abhishek.dev694@gmail.com',
-            replyTo: email,
-            subject: `🚀 New Project Inquiry from ${name} - ${budget || 'Budget TBD'}`,
-            html: clientEmailHtml,
-            text: clientEmailText
-        };
-
-        // Send auto-reply to client
-        const autoReplyOptions = {
-            from: `"Abhishek Goel - Web Developer" <${process.env.EMAIL_USER || 'abhishek.dev694@gmail.com'}>`,
-            to: email,
-            subject: `Thanks for your inquiry, ${name}! I'll be in touch soon 🚀`,
-            html: autoReplyHtml,
-            text: autoReplyText
-        };
-
-        // Send both emails
-        await sgMail.send(clientMailOptions);
-        await sgMail.send(autoReplyOptions);
-
-        console.log(`✅ Email sent successfully from ${name} (${email}) at ${new Date().toISOString()}`);
-
-        res.json({
-            success: true,
-            message: 'Thank you for your message! I\'ll get back to you within 24 hours.'
+    // Health checks
+    const healthChecks = createHealthChecks({
+        mailTransport,
+        inquiryStore,
+        emailQueue,
+        bookings,
+        maxQueueDepth: config.queue.maxHealthyDepth
+    });
+
+    // Liveness - the process is up and serving requests
+    const liveness = (req, res) => {
+        res.json({ 
+            success: true, 
+            message: 'Portfolio API is running!',
+            uptimeSeconds: Math.round(process.uptime()),
+            timestamp: new Date().toISOString()
         });
+    };
+    app.get('/api/health', liveness);
+    app.get('/api/health/live', liveness);
 
-    } catch (error) {
-        console.error('❌ Email sending failed:', {
-            message: error.message,
-            code: error.code,
-            command: error.command,
-            stack: error.stack
+    // Readiness - templates, mail transport, storage and queue can all take an inquiry
+    app.get('/api/health/ready', (req, res) => {
+        const { ready, checks } = healthChecks.readiness();
+        if (!ready) {
+            logger.warn('Readiness check failed', {
+                failing: Object.keys(checks).filter(name => !checks[name].ok)
+            });
+        }
+        res.status(ready ? 200 : 503).json({
+            success: ready,
+            status: ready ? 'ready' : 'not_ready',
+            checks,
+            timestamp: new Date().toISOString()
         });
-        
-        // Provide different error messages based on the error type
-        let errorMessage = 'Sorry, there was an error sending your message. Please try again or email me directly at abhishek.dev694@gmail.com';
-        
-        if (error.code === 'ETIMEDOUT') {
-            errorMessage = 'Connection timeout occurred. Please try again in a moment or email me directly at abhishek.dev694@gmail.com';
-        } else if (error.code === 'EAUTH') {
-            errorMessage = 'Email authentication failed. Please email me directly at abhishek.dev694@gmail.com';
-        } else if (error.message.includes('Email configuration incomplete')) {
-            errorMessage = 'Email system is currently being configured. Please email me directly at abhishek.dev694@gmail.com';
+    });
+
+    // Prometheus scrape endpoint - requires `Authorization: Bearer $METRICS_TOKEN` when set
+    app.get('/metrics', async (req, res) => {
+        if (config.metricsToken && req.get('Authorization') !== `Bearer ${config.metricsToken}`) {
+            return res.status(401).json({ success: false, message: 'Invalid or missing metrics token.' });
         }
-        
-        res.status(500).json({
-            success: false,
-            message: errorMessage
+        res.set('Content-Type', metrics.registry.contentType);
+        res.send(await metrics.registry.metrics());
+    });
+
+    // Admin inquiry API - requires `Authorization: Bearer $ADMIN_TOKEN`
+    app.use('/api/admin', createAdminRouter(inquiryStore, {
+        token: config.adminToken,
+        emailQueue,
+        attachmentStore
+    }));
+
+    // Dev-only email template preview / test-send (ENABLE_DEV_ROUTES overrides the default)
+    if (config.devRoutesEnabled) {
+        app.use('/api/dev', createDevRouter({ mailTransport }));
+    }
+
+    // Portfolio projects (content/projects.json)
+    app.use('/api/projects', createProjectRouter(projectSource));
+
+    // Discovery-call availability and slot holds
+    app.use('/api', createBookingRouter(bookings, { timeZone: config.timezone, holdLimiter, translatorFor }));
+
+    // Form token - fetched when the contact form renders, echoed back on submit.
+    // minAgeMs tells the outbox how long to hold a fresh token before sending
+    app.get('/api/contact/token', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, token: createFormToken(formTokenSecret), minAgeMs: spamSettings.minFormAgeMs });
+    });
+
+    // Multipart bodies - attachment problems are reported like field errors
+    const parseAttachments = (req, res, next) => {
+        attachmentStore.middleware(req, res, (error) => {
+            if (!error || error.statusCode !== 400) {
+                return next(error);
+            }
+            metrics.recordRejection('attachment_rejected');
+            res.status(400).json({
+                success: false,
+                message: error.message,
+                errors: { attachments: error.message }
+            });
         });
+    };
+
+    // Contact form endpoint - JSON, or multipart/form-data when files are attached
+    app.post('/api/contact', emailLimiter, parseAttachments, async (req, res) => {
+        let inquiry = null;
+        const attachments = attachmentStore.describe(req.files);
+        const t = translatorFor(req);
+
+        try {
+            const { website, formToken, bookingId, bookingHoldToken } = req.body;
+
+            // Schema validation - the same rules the browser applies (form-schema.js)
+            const validation = contactFormSchema.validate(req.body, t);
+            if (!validation.valid) {
+                metrics.recordRejection('validation_failed');
+                attachmentStore.remove(attachments);
+                return res.status(400).json({
+                    success: false,
+                    message: t('api.invalid'),
+                    errors: validation.errors
+                });
+            }
+
+            const fields = validation.values;
+            const { name, email, budget, message } = fields;
+
+            // Timing check - nobody fills in the form within a few seconds of it rendering
+            const tokenCheck = verifyFormToken(formToken, formTokenSecret, {
+                minAgeMs: spamSettings.minFormAgeMs,
+                maxAgeMs: spamSettings.maxFormAgeMs
+            });
+            if (!tokenCheck.valid) {
+                logger.warn('Rejected contact submission', { reason: `form token ${tokenCheck.reason}`, ip: req.ip });
+                metrics.recordRejection(`form_token_${tokenCheck.reason.replace('-', '_')}`);
+                attachmentStore.remove(attachments);
+                return res.status(400).json({
+                    success: false,
+                    message: t(tokenCheck.reason === 'too-fast' ? 'api.tooFast' : 'api.expired')
+                });
+            }
+
+            // Honeypot + content scoring - suspicious inquiries are kept but never emailed
+            const spam = scoreInquiry({ name, email, message }, inquiryStore.list(), { blocklist: spamSettings.blocklist });
+            if (website) {
+                spam.score += spamSettings.scoreThreshold;
+                spam.reasons.unshift('honeypot field filled');
+            }
+            const quarantined = spam.score >= spamSettings.scoreThreshold;
+            const initialDelivery = { status: quarantined ? 'skipped' : 'pending' };
+
+            // Turn the visitor's slot hold into a booking - quarantined inquiries just let it go
+            let booking = null;
+            if (bookingId && quarantined) {
+                bookings.release(bookingId, bookingHoldToken);
+            } else if (bookingId) {
+                const confirmation = bookings.confirm(bookingId, bookingHoldToken, { name, email });
+                if (!confirmation.booking) {
+                    const bookingMessage = t('api.bookingUnavailable');
+                    metrics.recordRejection('booking_unavailable');
+                    attachmentStore.remove(attachments);
+                    return res.status(409).json({
+                        success: false,
+                        message: bookingMessage,
+                        errors: { booking: bookingMessage }
+                    });
+                }
+                booking = confirmation.booking;
+            }
+
+            // Persist the inquiry first so it survives any email failure
+            try {
+                inquiry = inquiryStore.create({
+                    ...fields,
+                    locale: t.locale,
+                    attachments,
+                    booking: booking ? {
+                        id: booking.id,
+                        start: booking.start,
+                        end: booking.end,
+                        visitorTimeZone: booking.visitorTimeZone
+                    } : null,
+                    status: quarantined ? 'quarantined' : 'new',
+                    spam,
+                    ip: req.ip,
+                    userAgent: req.get('User-Agent') || null,
+                    delivery: {
+                        notification: initialDelivery,
+                        autoReply: initialDelivery
+                    }
+                });
+            } catch (error) {
+                // Still try to email - that is the only other copy of the lead
+                logger.error('Failed to persist inquiry', { error: error.message });
+            }
+            if (booking && inquiry) {
+                bookings.linkInquiry(booking.id, inquiry.id);
+            }
+
+            // Don't tip off bots - quarantined submissions get the normal response
+            metrics.recordSubmission(budget, quarantined ? 'quarantined' : 'queued');
+            if (quarantined) {
+                logger.warn('Quarantined inquiry', {
+                    inquiryId: inquiry ? inquiry.id : null,
+                    score: spam.score,
+                    reasons: spam.reasons
+                });
+                return res.json({ success: true, message: t('api.success') });
+            }
+
+            const templateVariables = buildInquiryVariables(
+                { ...fields, attachments, booking },
+                { developerEmail: config.recipientEmail, timeZone: config.timezone }
+            );
+            // The client's copy is in their language - the notification stays in English
+            const autoReplyVariables = buildInquiryVariables(
+                { ...fields, attachments, booking },
+                { developerEmail: config.recipientEmail, timeZone: config.timezone, locale: t.locale }
+            );
+
+            // Render notification and auto-reply emails (html + text)
+            const notificationEmail = renderEmail('notification', templateVariables);
+            const autoReplyEmail = renderEmail('auto-reply', autoReplyVariables, { locale: t.locale });
+
+            // Send email to you (notification)
+            const clientMailOptions = {
+                from: `"${name} via Portfolio" <${config.sender.email}>`,
+                to: config.recipientEmail,
+                replyTo: email,
+                subject: `🚀 New Project Inquiry from ${name} - ${budget ? contactFormSchema.getOptionLabel('budget', budget) : 'Budget TBD'}`,
+                html: notificationEmail.html,
+                text: notificationEmail.text
+            };
+            if (attachments.length) {
+                clientMailOptions.attachments = attachmentStore.toMailAttachments(attachments);
+            }
+
+            // Send auto-reply to client
+            const autoReplyOptions = {
+                from: `"${config.sender.name}" <${config.sender.email}>`,
+                to: email,
+                subject: t('email.autoReplySubject', { name }),
+                html: autoReplyEmail.html,
+                text: autoReplyEmail.text
+            };
+
+            // Same calendar invite on both emails
+            if (booking) {
+                const invite = toInviteAttachment(bookings.createInvite(booking, {
+                    organizer: { name: config.sender.name, email: config.recipientEmail },
+                    summary: `Discovery call: ${name} & ${config.sender.name}`,
+                    description: `Intro call about the project inquiry ${name} sent through the portfolio contact form.`,
+                    uidDomain: config.sender.email.split('@')[1]
+                }), { filename: 'discovery-call.ics' });
+                clientMailOptions.attachments = (clientMailOptions.attachments || []).concat(invite);
+                autoReplyOptions.attachments = [invite];
+            }
+
+            // Queue both emails - the visitor doesn't wait on SendGrid
+            const inquiryId = inquiry ? inquiry.id : null;
+            [['notification', clientMailOptions], ['autoReply', autoReplyOptions]].forEach(([kind, mailOptions]) => {
+                const job = emailQueue.enqueue(kind, mailOptions, { inquiryId });
+                recordDelivery(inquiryId, kind, { status: 'queued', jobId: job.id });
+            });
+
+            logger.info('Inquiry queued for delivery', {
+                inquiryId,
+                budget: budget || null,
+                attachments: attachments.length,
+                bookingId: booking ? booking.id : null,
+                locale: t.locale
+            });
+
+            res.json({
+                success: true,
+                message: t('api.success')
+            });
+
+        } catch (error) {
+            logger.error('Contact submission failed', {
+                inquiryId: inquiry ? inquiry.id : null,
+                error
+            });
+
+            res.status(500).json({
+                success: false,
+                message: describeSendError(error, config.recipientEmail, t)
+            });
+        }
+    });
+
+    // Frontend - the build/ output, when this server also serves the site
+    if (staticSite) {
+        app.use(staticSite.router);
     }
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Server error:', err);
-    res.status(500).json({
-        success: false,
-        message: 'Internal server error'
+
+    // 404 handler
+    app.use((req, res) => {
+        res.status(404).json({
+            success: false,
+            message: 'Endpoint not found'
+        });
     });
-});
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({
-        success: false,
-        message: 'Endpoint not found'
+    // Error handling middleware - last, so errors from the static site reach it too
+    app.use((err, req, res, next) => {
+        logger.error('Server error', { error: err });
+        res.status(500).json({
+            success: false,
+            message: translatorFor(req)('api.serverError')
+        });
     });
-});
+
+    return { app, config, mailTransport, emailQueue, staticSite, allowedOrigins };
+};
 
 // Start server
-app.listen(PORT, () => {
-    const isProduction = process.env.NODE_ENV === 'production';
-    const emailConfigured = !!process.env.EMAIL_PASSWORD;
-    
-    console.log(`
+const start = () => {
+    let created;
+    try {
+        created = createApp();
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            logger.error('Invalid configuration', { errors: error.errors });
+            process.exit(1);
+        }
+        throw error;
+    }
+
+    const { app, config, mailTransport, emailQueue, staticSite, allowedOrigins } = created;
+    const PORT = config.port;
+
+    app.listen(PORT, () => {
+        emailQueue.start();
+
+        const isProduction = config.isDeployed;
+        const emailConfigured = !mailTransport.configError;
+
+        logger.info('Portfolio API server started', {
+            env: config.env,
+            port: PORT,
+            mailTransport: mailTransport.name,
+            emailConfigured,
+            emailQueue: emailQueue.stats(),
+            devRoutes: config.devRoutesEnabled,
+            adminApi: !!config.adminToken,
+            corsOrigins: allowedOrigins,
+            frontend: staticSite ? { dir: staticSite.dir, pages: staticSite.pageCount } : false
+        });
+
+        // Human-friendly banner for local runs
+        if (logger.format === 'pretty') {
+            console.log(`
 🚀 Portfolio API Server Started!
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📧 Email: abhishek.dev694@gmail.com
+📧 Email: ${config.recipientEmail}
 🌐 Server: ${isProduction ? 'PRODUCTION' : `http://localhost:${PORT}`}
-🔗 Health: ${isProduction ? 'https://your-railway-url.railway.app' : `http://localhost:${PORT}`}/api/health
+🔗 Health: ${isProduction ? 'https://your-railway-url.railway.app' : `http://localhost:${PORT}`}/api/health/ready
 📝 Contact: ${isProduction ? 'https://your-railway-url.railway.app' : `http://localhost:${PORT}`}/api/contact
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Environment: ${process.env.NODE_ENV || 'development'}
-Email Service: ${process.env.EMAIL_SERVICE || 'gmail'}
+Environment: ${config.env}
+Mail Transport: ${mailTransport.describe()}
 Trust Proxy: ${app.get('trust proxy') ? 'ENABLED ✅' : 'DISABLED ❌'}
-Email Config: ${emailConfigured ? 'CONFIGURED ✅' : 'MISSING PASSWORD ❌'}
+Email Config: ${emailConfigured ? 'CONFIGURED ✅' : `${mailTransport.configError} ❌`}
+Email Queue: ${Object.entries(emailQueue.stats()).map(([status, count]) => `${count} ${status}`).join(', ')}
+Dev Routes: ${config.devRoutesEnabled ? 'ENABLED (/api/dev/templates)' : 'DISABLED'}
+Admin API: ${config.adminToken ? 'ENABLED ✅' : 'DISABLED (set ADMIN_TOKEN) ❌'}
+Frontend: ${staticSite ? `SERVING ${staticSite.dir} ✅` : 'DISABLED (set SERVE_FRONTEND=true)'}
+CORS: ${allowedOrigins.join(', ')}${isProduction ? '' : ' + localhost/LAN'}
 Port: ${PORT}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    `);
-    
-    // Additional production warnings
-    if (isProduction) {
-        console.log('🔥 PRODUCTION MODE - Railway Deployment');
-        if (!emailConfigured) {
-            console.log('⚠️  WARNING: EMAIL_PASSWORD not configured in Railway environment variables!');
+            `);
         }
-    }
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('📤 SIGTERM received. Shutting down gracefully...');
-    process.exit(0);
-});
-
-process.on('SIGINT', () => {
-    console.log('📤 SIGINT received. Shutting down gracefully...');
-    process.exit(0);
-});
+
+        // Additional production warnings
+        if (isProduction) {
+            if (!emailConfigured) {
+                logger.warn(`${mailTransport.configError} in Railway environment variables`);
+            }
+            if (!config.spam.formTokenSecret) {
+                logger.warn('FORM_TOKEN_SECRET not set - open contact forms break on every restart');
+            }
+            if (mailTransport.name === 'file') {
+                logger.warn('MAIL_TRANSPORT=file - emails are written to disk, not delivered');
+            }
+        }
+    });
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        logger.info('SIGTERM received, shutting down');
+        emailQueue.stop();
+        process.exit(0);
+    });
+
+    process.on('SIGINT', () => {
+        logger.info('SIGINT received, shutting down');
+        emailQueue.stop();
+        process.exit(0);
+    });
+};
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = { createApp };
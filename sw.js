@@ -0,0 +1,122 @@
+// Service Worker
+// Keeps the site viewable offline and delivers contact inquiries queued while
+// the visitor was offline (outbox.js) through Background Sync.
+//
+// The production build (lib/build.js) prepends self.PRECACHE with the
+// fingerprinted files and pre-rendered pages; unbuilt, the source files are
+// cached instead.
+const PRECACHE = self.PRECACHE || {
+    version: 'dev',
+    urls: ['/', '/styles.css', '/public-config.js', '/i18n.js', '/form-schema.js', '/case-study.js', '/outbox.js', '/script.js'],
+    outbox: '/outbox.js'
+};
+
+importScripts(PRECACHE.outbox);
+
+const CACHE_NAME = `portfolio-${PRECACHE.version}`;
+
+// styles.3f9a1c20b7.css - the name changes whenever the content does
+const FINGERPRINTED = /\.[0-9a-f]{10}\.(js|css)$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE.urls))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of earlier builds
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('portfolio-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Keep a copy of what was fetched so it's there next time the network isn't
+const fetchAndCache = async (request) => {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+};
+
+// Pages: the network first, then the cached copy - a case study's own page
+// if it was cached, otherwise the home page (the client router takes over)
+const handleNavigation = async (request) => {
+    try {
+        return await fetchAndCache(request);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true })
+            || await caches.match(`${new URL(request.url).pathname.replace(/\/+$/, '')}/`)
+            || await caches.match('/');
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+// Fingerprinted assets never change, so the cache wins; anything else
+// (unbuilt source files) is fetched fresh and only falls back to the cache
+const handleAsset = async (request) => {
+    if (FINGERPRINTED.test(new URL(request.url).pathname)) {
+        return (await caches.match(request)) || fetchAndCache(request);
+    }
+    try {
+        return await fetchAndCache(request);
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // The API, fonts and anything that isn't a plain GET go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleAsset(request));
+});
+
+// Background Sync - send what's in the outbox and tell any open pages how it went
+const flushOutbox = async () => {
+    const outbox = self.ContactOutbox.createOutbox(self.indexedDB);
+    const getToken = url => fetch(url, { cache: 'no-store' }).then(response => response.json());
+    const result = await outbox.flush(async (entry) => {
+        const ready = await self.ContactOutbox.withFreshToken(entry, getToken);
+        const response = await fetch(entry.url, { method: 'POST', body: self.ContactOutbox.toFormData(ready) });
+        // A server error is worth retrying; json() throws on a proxy's error page too
+        if (response.status >= 500) throw new Error(`Server error ${response.status}`);
+        return response.json();
+    });
+
+    if (result.sent.length || result.failed.length) {
+        const pages = await self.clients.matchAll({ type: 'window' });
+        pages.forEach(page => page.postMessage({
+            type: 'outbox-flushed',
+            sent: result.sent.length,
+            failed: result.failed.length
+        }));
+    }
+
+    // Rejecting asks the browser to try the sync again later
+    if (result.pending) {
+        throw new Error(`${result.pending} queued inquiries still waiting for a connection`);
+    }
+};
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === self.ContactOutbox.SYNC_TAG) {
+        event.waitUntil(flushOutbox());
+    }
+});
@@ -0,0 +1,309 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp, validSubmission } = require('./helpers');
+
+describe('POST /api/contact', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => {
+        ctx.cleanup();
+    });
+
+    describe('validation', () => {
+        const cases = [
+            ['a missing name', { name: '' }, 'name', 'Your Name is required.'],
+            ['a one-letter name', { name: 'J' }, 'name', 'Please enter at least 2 characters.'],
+            ['a missing email', { email: '' }, 'email', 'Email Address is required.'],
+            ['an invalid email', { email: 'jane@example' }, 'email', null],
+            ['a missing budget', { budget: '' }, 'budget', 'Project Budget (USD) is required.'],
+            ['an unknown budget', { budget: 'millions' }, 'budget', null],
+            ['a missing message', { message: '' }, 'message', 'Tell me about your project is required.'],
+            ['a short message', { message: 'Hi there' }, 'message', 'Please enter at least 10 characters.'],
+            ['an overlong message', { message: 'x'.repeat(5001) }, 'message', 'Please keep this under 5000 characters.']
+        ];
+
+        cases.forEach(([label, overrides, field, fieldMessage]) => {
+            test(`rejects ${label}`, async () => {
+                const res = await request(ctx.app).post('/api/contact').send(validSubmission(overrides));
+
+                assert.equal(res.status, 400);
+                assert.equal(res.body.success, false);
+                assert.equal(res.body.message, 'Please correct the highlighted fields and try again.');
+                assert.ok(res.body.errors[field], `expected an error for ${field}`);
+                if (fieldMessage) {
+                    assert.equal(res.body.errors[field], fieldMessage);
+                }
+                assert.equal(ctx.emailQueue.stats().pending, 0);
+            });
+        });
+
+        test('reports every invalid field at once', async () => {
+            const res = await request(ctx.app).post('/api/contact').send({ formToken: validSubmission().formToken });
+
+            assert.equal(res.status, 400);
+            assert.deepEqual(Object.keys(res.body.errors).sort(), ['budget', 'email', 'message', 'name']);
+        });
+    });
+
+    describe('form token', () => {
+        test('rejects a submission without one', async () => {
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission({ formToken: undefined }));
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Your session has expired. Please reload the page and try again.');
+        });
+
+        test('rejects a tampered token', async () => {
+            const [issuedAt] = validSubmission().formToken.split('.');
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission({ formToken: `${issuedAt}.forged` }));
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Your session has expired. Please reload the page and try again.');
+        });
+
+        test('rejects a token whose signature has non-ASCII characters', async () => {
+            const [issuedAt] = validSubmission().formToken.split('.');
+            const signature = `${'a'.repeat(63)}é`;
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission({ formToken: `${issuedAt}.${signature}` }));
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Your session has expired. Please reload the page and try again.');
+        });
+
+        test('rejects a token older than a day', async () => {
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission({}, { ageMs: 25 * 60 * 60 * 1000 }));
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Your session has expired. Please reload the page and try again.');
+        });
+
+        test('rejects a form sent too quickly after it rendered', async () => {
+            const strict = createTestApp({ SPAM_MIN_FORM_SECONDS: '3' });
+            try {
+                const res = await request(strict.app).post('/api/contact').send(validSubmission({}, { ageMs: 500 }));
+
+                assert.equal(res.status, 400);
+                assert.match(res.body.message, /^That was quick!/);
+            } finally {
+                strict.cleanup();
+            }
+        });
+
+        test('accepts a token from GET /api/contact/token', async () => {
+            const tokenRes = await request(ctx.app).get('/api/contact/token');
+            assert.equal(tokenRes.status, 200);
+            assert.equal(tokenRes.headers['cache-control'], 'no-store');
+
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission({ formToken: tokenRes.body.token }));
+            assert.equal(res.status, 200);
+        });
+    });
+
+    test('quarantines honeypot submissions behind a normal response', async () => {
+        const res = await request(ctx.app).post('/api/contact').send(validSubmission({ website: 'https://spam.example' }));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.success, true);
+        assert.equal(ctx.emailQueue.stats().pending, 0);
+        await ctx.emailQueue.processDue();
+        assert.equal(ctx.transport.sent.length, 0);
+
+        const metrics = await request(ctx.app).get('/metrics');
+        assert.match(metrics.text, /^portfolio_quarantined_inquiries 1$/m);
+    });
+
+    test('does not quarantine a project in an industry spammers also name', async () => {
+        const web3 = {
+            email: 'founder@example.com',
+            message: 'We are a crypto startup and need a bitcoin payments dashboard with forex rates.'
+        };
+        await request(ctx.app).post('/api/contact').send(validSubmission(web3));
+        const res = await request(ctx.app).post('/api/contact').send(validSubmission({ ...web3, message: `${web3.message} Following up.` }));
+
+        assert.equal(res.status, 200);
+        assert.equal(ctx.emailQueue.stats().pending + ctx.emailQueue.stats().sent, 4);
+        const metrics = await request(ctx.app).get('/metrics');
+        assert.match(metrics.text, /^portfolio_quarantined_inquiries 0$/m);
+    });
+
+    test('queues the notification and auto-reply, then sends them', async () => {
+        const res = await request(ctx.app).post('/api/contact').send(validSubmission());
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, {
+            success: true,
+            message: 'Thank you for your message! I\'ll get back to you within 24 hours.'
+        });
+
+        await ctx.emailQueue.processDue();
+        const [notification, autoReply] = ctx.transport.sent;
+        assert.equal(ctx.transport.sent.length, 2);
+
+        assert.equal(notification.to, ctx.config.recipientEmail);
+        assert.equal(notification.replyTo, 'jane@example.com');
+        assert.match(notification.subject, /New Project Inquiry from Jane Cooper - \$10,000 - \$25,000/);
+        assert.match(notification.html, /We need an online ordering site/);
+        assert.match(notification.text, /We need an online ordering site/);
+
+        assert.equal(autoReply.to, 'jane@example.com');
+        assert.match(autoReply.subject, /^Thanks for your inquiry, Jane Cooper!/);
+    });
+
+    test('accepts urlencoded submissions like a plain form post', async () => {
+        const res = await request(ctx.app).post('/api/contact').type('form').send(validSubmission());
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.success, true);
+    });
+
+    describe('locale', () => {
+        test('answers in the locale the form sends', async () => {
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission({ name: '', locale: 'es' }));
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Corrige los campos marcados y vuelve a intentarlo.');
+            assert.equal(res.body.errors.name, 'El campo «Tu nombre» es obligatorio.');
+        });
+
+        test('falls back to the Accept-Language header', async () => {
+            const res = await request(ctx.app)
+                .post('/api/contact')
+                .set('Accept-Language', 'fr-CA,fr;q=0.9,en;q=0.5')
+                .send(validSubmission({ message: 'Salut' }));
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.errors.message, 'Veuillez saisir au moins 10 caractères.');
+        });
+
+        test('answers in English for a locale the site does not have', async () => {
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission({ locale: 'de' }));
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Thank you for your message! I\'ll get back to you within 24 hours.');
+        });
+
+        test('sends the auto-reply in the visitor\'s language and the notification in English', async () => {
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission({ locale: 'fr' }));
+            assert.equal(res.body.message, 'Merci pour votre message ! Je vous réponds sous 24 heures.');
+
+            await ctx.emailQueue.processDue();
+            const [notification, autoReply] = ctx.transport.sent;
+
+            assert.match(notification.subject, /New Project Inquiry from Jane Cooper/);
+            assert.match(autoReply.subject, /^Merci pour votre demande, Jane Cooper !/);
+            assert.match(autoReply.text, /^Bonjour Jane Cooper,/);
+            assert.match(autoReply.text, /10 000 \$ - 25 000 \$/);
+        });
+
+        // Multipart, as the page sends it - the locale field ahead of the files
+        const multipart = (fields, files) => {
+            const req = request(ctx.app).post('/api/contact');
+            Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+            files.forEach(([content, fileName]) => req.attach('attachments', Buffer.from(content), fileName));
+            return req;
+        };
+
+        test('reports a rejected file type in the form\'s locale', async () => {
+            const res = await multipart(validSubmission({ locale: 'es' }), [['MZ', 'setup.exe']]);
+
+            assert.equal(res.status, 400);
+            assert.match(res.body.errors.attachments, /^setup\.exe no es un tipo de archivo admitido/);
+        });
+
+        test('reports too many files in the form\'s locale', async () => {
+            const files = ['a', 'b', 'c', 'd'].map(name => ['notes', `${name}.txt`]);
+            const res = await multipart(validSubmission({ locale: 'fr' }), files);
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Veuillez joindre 3 fichiers au maximum.');
+        });
+
+        test('answers a request it cannot parse in the Accept-Language locale', async () => {
+            const res = await request(ctx.app)
+                .post('/api/contact')
+                .set('Accept-Language', 'fr')
+                .set('Content-Type', 'application/json')
+                .send('{"name":');
+
+            assert.equal(res.status, 500);
+            assert.equal(res.body.message, 'Erreur interne du serveur');
+        });
+    });
+
+    describe('send failures', () => {
+        const failWith = (error) => {
+            ctx.emailQueue.enqueue = () => {
+                throw error;
+            };
+        };
+
+        const codedError = (code) => Object.assign(new Error(code), { code });
+
+        test('maps a connection timeout', async () => {
+            failWith(codedError('ETIMEDOUT'));
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission());
+
+            assert.equal(res.status, 500);
+            assert.equal(res.body.success, false);
+            assert.equal(res.body.message, `Connection timeout occurred. Please try again in a moment or email me directly at ${ctx.config.recipientEmail}`);
+        });
+
+        test('maps an authentication failure', async () => {
+            failWith(codedError('EAUTH'));
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission());
+
+            assert.equal(res.status, 500);
+            assert.equal(res.body.message, `Email authentication failed. Please email me directly at ${ctx.config.recipientEmail}`);
+        });
+
+        test('falls back to a generic message', async () => {
+            failWith(new Error('disk full'));
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission());
+
+            assert.equal(res.status, 500);
+            assert.equal(res.body.message, `Sorry, there was an error sending your message. Please try again or email me directly at ${ctx.config.recipientEmail}`);
+        });
+
+        test('explains the failure in the visitor\'s language', async () => {
+            failWith(codedError('ETIMEDOUT'));
+            const res = await request(ctx.app).post('/api/contact').send(validSubmission({ locale: 'es' }));
+
+            assert.equal(res.status, 500);
+            assert.match(res.body.message, /^Se ha agotado el tiempo de conexión\./);
+            assert.ok(res.body.message.endsWith(ctx.config.recipientEmail));
+        });
+    });
+});
+
+describe('booking API', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => {
+        ctx.cleanup();
+    });
+
+    test('answers in the Accept-Language locale', async () => {
+        const invalid = await request(ctx.app)
+            .post('/api/bookings')
+            .set('Accept-Language', 'es')
+            .send({ start: 'not-a-slot' });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.message, 'start debe ser una de las horas de /api/availability.');
+
+        const missing = await request(ctx.app)
+            .delete('/api/bookings/bk_missing')
+            .set('Accept-Language', 'fr')
+            .send({ holdToken: 'nope' });
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.message, 'Réservation introuvable');
+    });
+});
@@ -0,0 +1,98 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+const { createOriginMatcher } = require('../lib/environments');
+
+// Runs fn against an app built with env, then cleans up
+const withApp = async (env, fn) => {
+    const ctx = createTestApp(env);
+    try {
+        await fn(ctx);
+    } finally {
+        ctx.cleanup();
+    }
+};
+
+const preflight = (app, origin) => request(app)
+    .options('/api/contact')
+    .set('Origin', origin)
+    .set('Access-Control-Request-Method', 'POST')
+    .set('Access-Control-Request-Headers', 'Content-Type');
+
+describe('CORS allowlist', () => {
+    test('allows the local site origins from config/environments.json', () => withApp({}, async ({ app }) => {
+        const res = await preflight(app, 'http://localhost:8000');
+
+        assert.equal(res.status, 204);
+        assert.equal(res.headers['access-control-allow-origin'], 'http://localhost:8000');
+        assert.equal(res.headers['access-control-allow-credentials'], 'true');
+    }));
+
+    test('allows LAN origins outside deployed environments', () => withApp({}, async ({ app }) => {
+        const res = await request(app).get('/api/health').set('Origin', 'http://192.168.1.20:8000');
+
+        assert.equal(res.headers['access-control-allow-origin'], 'http://192.168.1.20:8000');
+    }));
+
+    test('refuses origins that are not listed', () => withApp({}, async ({ app }) => {
+        const res = await preflight(app, 'https://evil.example');
+
+        assert.equal(res.headers['access-control-allow-origin'], undefined);
+    }));
+
+    test('allows CORS_ORIGINS extras', () => withApp({ CORS_ORIGINS: 'https://staging.example.com' }, async ({ app, allowedOrigins }) => {
+        assert.ok(allowedOrigins.includes('https://staging.example.com'));
+
+        const res = await preflight(app, 'https://staging.example.com');
+        assert.equal(res.headers['access-control-allow-origin'], 'https://staging.example.com');
+    }));
+
+    test('serves only the production origins in production', () => withApp({
+        NODE_ENV: 'production',
+        SENDGRID_EMAIL_KEY: 'SG.test'
+    }, async ({ app }) => {
+        const allowed = await preflight(app, 'https://abhishekgoel.dev');
+        assert.equal(allowed.headers['access-control-allow-origin'], 'https://abhishekgoel.dev');
+
+        const local = await preflight(app, 'http://localhost:8000');
+        assert.equal(local.headers['access-control-allow-origin'], undefined);
+
+        const lan = await preflight(app, 'http://192.168.1.20:8000');
+        assert.equal(lan.headers['access-control-allow-origin'], undefined);
+    }));
+
+    test('matches wildcard deploy-preview origins in staging', () => withApp({
+        NODE_ENV: 'staging',
+        SENDGRID_EMAIL_KEY: 'SG.test'
+    }, async ({ app }) => {
+        const preview = await preflight(app, 'https://deploy-preview-42--getsoftware.netlify.app');
+        assert.equal(preview.headers['access-control-allow-origin'], 'https://deploy-preview-42--getsoftware.netlify.app');
+
+        const nested = await preflight(app, 'https://evil.example--getsoftware.netlify.app');
+        assert.equal(nested.headers['access-control-allow-origin'], undefined);
+    }));
+
+    test('lets requests without an Origin through', () => withApp({}, async ({ app }) => {
+        const res = await request(app).get('/api/health');
+
+        assert.equal(res.status, 200);
+    }));
+});
+
+describe('createOriginMatcher', () => {
+    test('only lets * stand for a single host label', () => {
+        const { isAllowed } = createOriginMatcher(['https://*--site.netlify.app']);
+
+        assert.equal(isAllowed('https://main--site.netlify.app'), true);
+        assert.equal(isAllowed('https://a.b--site.netlify.app'), false);
+        assert.equal(isAllowed('http://main--site.netlify.app'), false);
+    });
+
+    test('ignores malformed origins when allowing the local network', () => {
+        const { isAllowed } = createOriginMatcher([], { allowLocalNetwork: true });
+
+        assert.equal(isAllowed('http://127.0.0.1:5500'), true);
+        assert.equal(isAllowed('not a url'), false);
+    });
+});
@@ -0,0 +1,64 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEmailQueue } = require('../lib/email-queue');
+const { logger } = require('../lib/logger');
+
+logger.configure({ level: 'error', format: 'json' });
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createEmailQueue', () => {
+    let dir;
+    let sent;
+    let queue;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-queue-'));
+        sent = [];
+    });
+
+    afterEach(() => {
+        queue.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const create = (send = async (mailOptions) => sent.push(mailOptions.subject)) => {
+        queue = createEmailQueue(path.join(dir, 'queue.jsonl'), { send });
+        return queue;
+    };
+
+    test('sends nothing until started or asked to', async () => {
+        create().enqueue('notification', { subject: 'First' });
+        await tick();
+        assert.deepEqual(sent, []);
+
+        await queue.processDue();
+        assert.deepEqual(sent, ['First']);
+    });
+
+    test('sends a job queued during a pass without waiting for the next poll', async () => {
+        let release;
+        const gate = new Promise(resolve => {
+            release = resolve;
+        });
+        create(async (mailOptions) => {
+            if (mailOptions.subject === 'First') await gate;
+            sent.push(mailOptions.subject);
+        });
+        queue.start();
+        queue.enqueue('notification', { subject: 'First' });
+        await tick();
+
+        // Arrives while "First" is still sending
+        queue.enqueue('autoReply', { subject: 'Second' });
+        const pass = queue.processDue();
+        release();
+        await pass;
+
+        assert.deepEqual(sent, ['First', 'Second']);
+        assert.equal(queue.stats().sent, 2);
+    });
+});
@@ -0,0 +1,158 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    loadTemplate,
+    renderTemplate,
+    renderEmail,
+    listTemplates,
+    buildInquiryVariables,
+    buildSampleVariables
+} = require('../lib/email-templates');
+const { logger } = require('../lib/logger');
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+logger.configure({ level: 'error', format: 'json' });
+
+describe('loadTemplate', () => {
+    test('reads both formats of each template', () => {
+        assert.deepEqual(listTemplates(), ['auto-reply', 'auto-reply.es', 'auto-reply.fr', 'notification']);
+        assert.match(loadTemplate('notification'), /{{CLIENT_MESSAGE}}/);
+        assert.match(loadTemplate('notification', 'txt'), /{{CLIENT_MESSAGE}}/);
+    });
+
+    test('reports an unknown template by name', () => {
+        assert.throws(() => loadTemplate('missing', 'html'), { message: 'Template missing.html not found' });
+    });
+});
+
+describe('renderTemplate', () => {
+    test('escapes variables in html but not in txt', () => {
+        const variables = { CLIENT_NAME: '<b>Jane</b> & co' };
+
+        assert.equal(renderTemplate('Hi {{CLIENT_NAME}}', variables, 'html'), 'Hi &lt;b&gt;Jane&lt;/b&gt; &amp; co');
+        assert.equal(renderTemplate('Hi {{CLIENT_NAME}}', variables, 'txt'), 'Hi <b>Jane</b> & co');
+    });
+
+    test('names the unknown variable and where it is used', () => {
+        assert.throws(
+            () => renderTemplate('Hello\n  {{CLIENT_NAM}}', { CLIENT_NAME: 'Jane' }, 'html', 'notification'),
+            { message: 'Template notification.html references unknown variable "CLIENT_NAM" (line 2, column 4)' }
+        );
+    });
+
+    test('rejects unsupported formats', () => {
+        assert.throws(() => renderTemplate('Hi', {}, 'md'), /Unsupported template format "md"/);
+    });
+});
+
+describe('renderEmail', () => {
+    test('renders the notification with every inquiry detail', () => {
+        const { html, text } = renderEmail('notification', buildSampleVariables());
+
+        assert.match(html, /Jane Cooper/);
+        assert.match(html, /href="mailto:jane@example.com"/);
+        assert.match(html, /\$10,000 - \$25,000/);
+        assert.match(html, /ordering-site-brief\.pdf/);
+        assert.match(text, /We run a small bakery chain/);
+        assert.doesNotMatch(text, /{{|}}/);
+    });
+
+    test('renders the auto-reply to the visitor', () => {
+        const { html, text } = renderEmail('auto-reply', buildSampleVariables());
+
+        assert.match(html, /Jane Cooper/);
+        assert.match(html, /href="mailto:abhishek\.dev694@gmail\.com"/);
+        assert.match(text, /^Hi Jane Cooper,/);
+    });
+
+    test('renders the auto-reply translation for the visitor\'s locale', () => {
+        const variables = buildSampleVariables();
+
+        assert.match(renderEmail('auto-reply', variables, { locale: 'es' }).text, /^Hola, Jane Cooper:/);
+        assert.match(renderEmail('auto-reply', variables, { locale: 'fr' }).html, /Bonjour <strong>Jane Cooper<\/strong>,/);
+    });
+
+    test('falls back to the English template when there is no translation', () => {
+        assert.match(renderEmail('auto-reply', buildSampleVariables(), { locale: 'de' }).text, /^Hi Jane Cooper,/);
+        assert.match(renderEmail('notification', buildSampleVariables(), { locale: 'es' }).text, /We run a small bakery chain/);
+    });
+
+    test('escapes what visitors type into the html email only', () => {
+        const variables = buildInquiryVariables({
+            name: 'Mallory',
+            email: 'mallory@example.com',
+            budget: 'under-5k',
+            message: '<script>alert(1)</script>'
+        }, { developerEmail: 'dev@example.com', submittedAt: new Date('2024-06-03T15:30:00Z') });
+        const { html, text } = renderEmail('notification', variables);
+
+        assert.doesNotMatch(html, /<script>/);
+        assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+        assert.match(text, /<script>alert\(1\)<\/script>/);
+    });
+
+    test('leaves out the attachment and booking sections when there are none', () => {
+        const { html } = renderEmail('notification', buildSampleVariables({ CLIENT_ATTACHMENTS: [], CLIENT_BOOKING: null }));
+
+        assert.doesNotMatch(html, /ordering-site-brief\.pdf/);
+        assert.doesNotMatch(html, /min\)/);
+    });
+});
+
+describe('buildInquiryVariables', () => {
+    test('labels the budget and formats the submission time in the given zone', () => {
+        const variables = buildInquiryVariables(
+            { name: 'Jane', email: 'jane@example.com', budget: '25k-plus', message: 'Hello there' },
+            { developerEmail: 'dev@example.com', timeZone: 'UTC', submittedAt: new Date('2024-06-03T15:30:00Z') }
+        );
+
+        assert.equal(variables.CLIENT_BUDGET, '$25,000+');
+        assert.match(variables.SUBMISSION_TIME, /June 3, 2024.*3:30/);
+        assert.deepEqual(variables.CLIENT_ATTACHMENTS, []);
+        assert.equal(variables.CLIENT_BOOKING, null);
+    });
+
+    test('labels the budget and the visitor\'s call time in their locale', () => {
+        const variables = buildInquiryVariables({
+            name: 'Jeanne',
+            email: 'jeanne@example.com',
+            budget: '25k-plus',
+            message: 'Bonjour !',
+            booking: { start: '2024-06-05T14:00:00.000Z', end: '2024-06-05T14:30:00.000Z', visitorTimeZone: 'Europe/Paris' }
+        }, { developerEmail: 'dev@example.com', timeZone: 'UTC', locale: 'fr' });
+
+        assert.equal(variables.CLIENT_BUDGET, 'Plus de 25 000 $');
+        assert.match(variables.CLIENT_BOOKING.visitorTime, /^mercredi 5 juin à 16:00/);
+        // The developer's copy of the time stays in English
+        assert.match(variables.CLIENT_BOOKING.time, /^Wednesday, June 5 at 2:00/);
+    });
+});
+
+describe('GET /api/dev/templates/:name', () => {
+    test('previews with a CSP that allows the templates\' inline styles', async () => {
+        const ctx = createTestApp();
+        try {
+            const res = await request(ctx.app).get('/api/dev/templates/notification');
+
+            assert.equal(res.status, 200);
+            assert.match(res.text, /style="/);
+            const policy = res.headers['content-security-policy'];
+            assert.match(policy, /style-src 'unsafe-inline'/);
+            assert.match(policy, /default-src 'none'/);
+        } finally {
+            ctx.cleanup();
+        }
+    });
+
+    test('leaves the site\'s own CSP on its other responses', async () => {
+        const ctx = createTestApp();
+        try {
+            const res = await request(ctx.app).get('/api/dev/templates');
+
+            assert.doesNotMatch(res.headers['content-security-policy'], /unsafe-inline/);
+        } finally {
+            ctx.cleanup();
+        }
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Test Helpers
+ * Builds the app in-process against a throwaway data directory and a stub
+ * mail transport, so the suite runs offline and leaves nothing behind.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../server');
+const { createFormToken } = require('../lib/spam-guard');
+
+const FORM_TOKEN_SECRET = 'test-form-token-secret';
+
+/**
+ * createStubTransport({ failWith })
+ * Records every message it's given in `sent`. failWith (e.g. 'ETIMEDOUT')
+ * makes each send reject with an error carrying that code instead.
+ */
+const createStubTransport = ({ failWith = null } = {}) => {
+    const sent = [];
+
+    return {
+        name: 'stub',
+        configError: null,
+        describe: () => 'test stub',
+        sent,
+        send: async (mailOptions) => {
+            if (failWith) {
+                const error = new Error(`Stub transport failure (${failWith})`);
+                error.code = failWith;
+                throw error;
+            }
+            sent.push(mailOptions);
+            return { messageId: `stub-${sent.length}` };
+        }
+    };
+};
+
+/**
+ * createTestApp(env, { transport })
+ * env entries override the test defaults. Returns everything createApp does
+ * plus the stub transport and cleanup() - call it when the test is done.
+ */
+const createTestApp = (env = {}, { transport = createStubTransport() } = {}) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-test-'));
+    const result = createApp({
+        env: {
+            NODE_ENV: 'test',
+            LOG_LEVEL: 'error',
+            MAIL_TRANSPORT: 'file',
+            FORM_TOKEN_SECRET,
+            SPAM_MIN_FORM_SECONDS: '0',
+            INQUIRY_STORE_PATH: path.join(dataDir, 'inquiries.jsonl'),
+            EMAIL_QUEUE_PATH: path.join(dataDir, 'email-queue.jsonl'),
+            BOOKING_STORE_PATH: path.join(dataDir, 'bookings.jsonl'),
+            UPLOAD_DIR: path.join(dataDir, 'uploads'),
+            MAIL_OUTBOX_DIR: path.join(dataDir, 'outbox'),
+            ...env
+        },
+        mailTransport: transport
+    });
+
+    const cleanup = () => {
+        result.emailQueue.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+
+    return { ...result, transport, dataDir, cleanup };
+};
+
+// A valid contact form submission, with a form token issued `ageMs` ago
+const validSubmission = (overrides = {}, { ageMs = 60 * 1000 } = {}) => ({
+    name: 'Jane Cooper',
+    email: 'jane@example.com',
+    budget: '10k-25k',
+    message: 'We need an online ordering site for our bakery chain.',
+    website: '',
+    formToken: createFormToken(FORM_TOKEN_SECRET, Date.now() - ageMs),
+    ...overrides
+});
+
+module.exports = { createTestApp, createStubTransport, validSubmission, FORM_TOKEN_SECRET };
@@ -0,0 +1,119 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const i18n = require('../i18n');
+const contactFormSchema = require('../form-schema');
+const caseStudy = require('../case-study');
+
+// { 'nav.home': 'Home', ... } for one catalog
+const flatten = (catalog, prefix = '') => Object.entries(catalog).reduce((flat, [key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    return typeof value === 'object' ? { ...flat, ...flatten(value, fullKey) } : { ...flat, [fullKey]: value };
+}, {});
+
+const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort();
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+const english = flatten(i18n.catalogs.en);
+
+describe('negotiate', () => {
+    test('takes the first supported language, ignoring the region', () => {
+        assert.equal(i18n.negotiate(['de-DE', 'fr-CA', 'es']), 'fr');
+        assert.equal(i18n.negotiate(['ES']), 'es');
+    });
+
+    test('falls back to English', () => {
+        assert.equal(i18n.negotiate(['de', 'ja']), 'en');
+        assert.equal(i18n.negotiate(), 'en');
+    });
+});
+
+describe('createTranslator', () => {
+    test('fills in placeholders', () => {
+        const t = i18n.createTranslator('fr');
+
+        assert.equal(t.locale, 'fr');
+        assert.equal(t('portfolio.countFiltered', { shown: 2, total: 6 }), '2 projets affichés sur 6');
+        assert.equal(t('validation.minLength'), 'Veuillez saisir au moins {count} caractères.');
+    });
+
+    test('uses English for an unknown locale and the key for an unknown message', () => {
+        const t = i18n.createTranslator('de');
+
+        assert.equal(t.locale, 'en');
+        assert.equal(t('nav.home'), 'Home');
+        assert.equal(t('nav.missing'), 'nav.missing');
+    });
+});
+
+describe('catalogs', () => {
+    i18n.LOCALES.filter(locale => locale.code !== i18n.DEFAULT_LOCALE).forEach(({ code }) => {
+        test(`${code} has every English message, with the same placeholders`, () => {
+            const catalog = flatten(i18n.catalogs[code]);
+
+            assert.deepEqual(Object.keys(catalog).sort(), Object.keys(english).sort());
+            Object.entries(english).forEach(([key, message]) => {
+                assert.deepEqual(placeholders(catalog[key]), placeholders(message), `placeholders of ${code} ${key}`);
+            });
+        });
+    });
+
+    test('English matches the form schema\'s own messages and labels', () => {
+        Object.entries(contactFormSchema.messages).forEach(([key, message]) => {
+            assert.equal(english[key], message, key);
+        });
+        contactFormSchema.fields.filter(field => field.options).forEach(field => {
+            field.options.forEach(option => {
+                assert.equal(english[`form.fields.${field.name}.options.${option.value}`], option.label);
+            });
+        });
+    });
+
+    test('English matches the copy in index.html', () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        const { document } = new JSDOM(html).window;
+        const markup = document.createElement('div');
+
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            assert.equal(collapse(element.textContent), english[element.dataset.i18n], element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-html]').forEach(element => {
+            markup.innerHTML = english[element.dataset.i18nHtml];
+            assert.equal(collapse(element.innerHTML), collapse(markup.innerHTML), element.dataset.i18nHtml);
+        });
+        document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                assert.equal(element.getAttribute(attribute), english[key], key);
+            });
+        });
+        assert.equal(document.title, english['meta.title']);
+    });
+});
+
+describe('case study pages', () => {
+    const project = {
+        title: 'Farmer Portal',
+        summary: 'Orders & payments',
+        links: { live: 'https://example.com', source: null },
+        caseStudy: { problem: 'Paper orders', approach: ['Go online'], outcomes: ['Faster'], stack: ['Node.js'], screenshots: [] }
+    };
+
+    test('render in English unless given a translator', () => {
+        assert.equal(caseStudy.pageTitle(project), 'Farmer Portal - Case Study | Abhishek Goel');
+        assert.match(caseStudy.render(project), /<h2>The Problem<\/h2>/);
+        assert.match(caseStudy.render(project), /<span>View Live<\/span>/);
+    });
+
+    test('render their headings and buttons in the translator\'s language', () => {
+        const t = i18n.createTranslator('fr');
+        const html = caseStudy.render(project, [], t);
+
+        assert.equal(caseStudy.pageTitle(project, t), 'Farmer Portal - Étude de cas | Abhishek Goel');
+        assert.match(html, /<h2>L&#39;approche<\/h2>/);
+        assert.match(html, /<span>Voir le site<\/span>/);
+        assert.doesNotMatch(html, /The Problem|Tech Stack/);
+    });
+});
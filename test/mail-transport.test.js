@@ -0,0 +1,52 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMailTransport, describeSendError } = require('../lib/mail-transport');
+
+const CONTACT = 'hello@example.com';
+const codedError = (code) => Object.assign(new Error(`failed with ${code}`), { code });
+
+describe('describeSendError', () => {
+    test('asks the visitor to retry after a timeout', () => {
+        assert.equal(
+            describeSendError(codedError('ETIMEDOUT'), CONTACT),
+            'Connection timeout occurred. Please try again in a moment or email me directly at hello@example.com'
+        );
+    });
+
+    test('points the visitor at the inbox when authentication fails', () => {
+        assert.equal(
+            describeSendError(codedError('EAUTH'), CONTACT),
+            'Email authentication failed. Please email me directly at hello@example.com'
+        );
+    });
+
+    test('explains an incomplete email setup', () => {
+        assert.equal(
+            describeSendError(new Error('Email configuration incomplete: SENDGRID_EMAIL_KEY'), CONTACT),
+            'Email system is currently being configured. Please email me directly at hello@example.com'
+        );
+    });
+
+    test('falls back to a generic message', () => {
+        assert.equal(
+            describeSendError(codedError('ECONNRESET'), CONTACT),
+            'Sorry, there was an error sending your message. Please try again or email me directly at hello@example.com'
+        );
+    });
+});
+
+describe('createMailTransport', () => {
+    test('flags a SendGrid transport without an API key', () => {
+        const transport = createMailTransport('sendgrid', { sendgrid: { apiKey: undefined } });
+
+        assert.equal(transport.name, 'sendgrid');
+        assert.equal(transport.configError, 'SENDGRID_EMAIL_KEY is not set');
+    });
+
+    test('flags an SMTP transport without a host', () => {
+        const transport = createMailTransport('smtp', { smtp: { port: 587, secure: false } });
+
+        assert.equal(transport.configError, 'SMTP_HOST is not set');
+        assert.equal(transport.describe(), 'SMTP (no host):587');
+    });
+});
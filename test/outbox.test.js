@@ -0,0 +1,185 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const request = require('supertest');
+const { createOutbox, toFormData, withFreshToken, isSupported, LEASE_MS } = require('../outbox');
+const { createFormToken } = require('../lib/spam-guard');
+const { createTestApp, FORM_TOKEN_SECRET } = require('./helpers');
+
+const URL = 'http://localhost:3000/api/contact';
+const parts = (name = 'Jane Cooper') => [['name', name], ['email', 'jane@example.com'], ['formToken', 'token']];
+
+describe('ContactOutbox', () => {
+    let outbox;
+
+    beforeEach(() => {
+        outbox = createOutbox(new IDBFactory());
+    });
+
+    test('keeps queued inquiries in the order they were added', async () => {
+        const first = await outbox.add({ url: URL, parts: parts('First') });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await outbox.add({ url: URL, parts: parts('Second') });
+
+        const entries = await outbox.list();
+        assert.deepEqual(entries.map(entry => entry.parts[0][1]), ['First', 'Second']);
+        assert.equal(entries[0].id, first.id);
+        assert.equal(entries[0].status, 'pending');
+        assert.equal(entries[0].attempts, 0);
+    });
+
+    test('removes what was sent', async () => {
+        await outbox.add({ url: URL, parts: parts() });
+        const sentTo = [];
+
+        const result = await outbox.flush(async (entry) => {
+            sentTo.push(entry.url);
+            return { success: true };
+        });
+
+        assert.deepEqual(sentTo, [URL]);
+        assert.equal(result.sent.length, 1);
+        assert.equal(result.pending, 0);
+        assert.deepEqual(await outbox.list(), []);
+    });
+
+    test('keeps an inquiry for later when the API cannot be reached', async () => {
+        await outbox.add({ url: URL, parts: parts() });
+
+        const result = await outbox.flush(async () => {
+            throw new Error('offline');
+        });
+
+        assert.equal(result.pending, 1);
+        const [entry] = await outbox.list();
+        assert.equal(entry.status, 'pending');
+        assert.equal(entry.attempts, 1);
+        assert.equal(entry.lockedUntil, 0, 'the lease is released for the next attempt');
+    });
+
+    test('marks an inquiry the API rejects as failed, with the reason', async () => {
+        await outbox.add({ url: URL, parts: parts() });
+
+        const result = await outbox.flush(async () => ({
+            success: false,
+            message: 'Your session has expired. Please reload the page and try again.'
+        }));
+
+        assert.equal(result.failed.length, 1);
+        const [entry] = await outbox.list();
+        assert.equal(entry.status, 'failed');
+        assert.deepEqual(entry.error, { message: 'Your session has expired. Please reload the page and try again.', errors: {} });
+
+        // Failed entries wait for the page - they aren't sent again
+        const again = await outbox.flush(async () => assert.fail('should not resend a failed inquiry'));
+        assert.deepEqual(again, { sent: [], failed: [], pending: 0 });
+    });
+
+    test('sends an inquiry once when the page and service worker flush together', async () => {
+        await outbox.add({ url: URL, parts: parts() });
+        let sends = 0;
+        const send = async () => {
+            sends++;
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return { success: true };
+        };
+
+        await Promise.all([outbox.flush(send), outbox.flush(send)]);
+        assert.equal(sends, 1);
+    });
+
+    test('lets another sender take over once a lease has lapsed', async () => {
+        await outbox.add({ url: URL, parts: parts() });
+        const now = Date.now();
+
+        // A sender that stalls mid-request, e.g. a tab closed while posting
+        let release;
+        let claimed;
+        const stalled = new Promise(resolve => {
+            claimed = resolve;
+        });
+        const firstFlush = outbox.flush(() => {
+            claimed();
+            return new Promise(resolve => {
+                release = resolve;
+            });
+        }, { now });
+        await stalled;
+
+        const during = await outbox.flush(async () => ({ success: true }), { now: now + LEASE_MS / 2 });
+        assert.equal(during.sent.length, 0);
+
+        const after = await outbox.flush(async () => ({ success: true }), { now: now + LEASE_MS + 1 });
+        assert.equal(after.sent.length, 1);
+
+        release({ success: true });
+        await firstFlush;
+        assert.deepEqual(await outbox.list(), []);
+    });
+
+    test('rebuilds the multipart body', () => {
+        const body = toFormData({ parts: parts() });
+
+        assert.equal(body.get('name'), 'Jane Cooper');
+        assert.equal(body.get('formToken'), 'token');
+    });
+
+    test('needs IndexedDB', () => {
+        assert.equal(isSupported({ indexedDB: new IDBFactory() }), true);
+        assert.equal(isSupported({}), false);
+    });
+
+    describe('withFreshToken', () => {
+        test('swaps in a new token once it is old enough to use', async () => {
+            const waits = [];
+            const fetched = [];
+            const entry = { url: URL, parts: parts() };
+
+            const ready = await withFreshToken(entry, async (url) => {
+                fetched.push(url);
+                return { success: true, token: 'fresh', minAgeMs: 3000 };
+            }, async (ms) => waits.push(ms));
+
+            assert.deepEqual(fetched, [`${URL}/token`]);
+            assert.deepEqual(waits, [3000]);
+            assert.deepEqual(ready.parts, [['name', 'Jane Cooper'], ['email', 'jane@example.com'], ['formToken', 'fresh']]);
+            assert.equal(entry.parts[2][1], 'token', 'the queued entry is left as it was');
+        });
+
+        test('rejects when no token comes back, so the entry stays pending', async () => {
+            await outbox.add({ url: URL, parts: parts() });
+
+            const result = await outbox.flush(entry => withFreshToken(entry, async () => ({ success: false })));
+
+            assert.equal(result.pending, 1);
+        });
+
+        test('gets inquiries queued with a missing or expired token past the API\'s token check', async () => {
+            const ctx = createTestApp({ SPAM_MIN_FORM_SECONDS: '1' });
+            try {
+                const expired = createFormToken(FORM_TOKEN_SECRET, Date.now() - 25 * 60 * 60 * 1000);
+                const inquiry = (name, formToken) => [
+                    ['name', name], ['email', 'jane@example.com'], ['budget', '10k-25k'],
+                    ['message', `${name} needs an online ordering site.`], ['website', ''], ['formToken', formToken]
+                ];
+                await outbox.add({ url: URL, parts: inquiry('Loaded offline', '') });
+                await outbox.add({ url: URL, parts: inquiry('Queued yesterday', expired) });
+
+                const pathOf = (url) => new globalThis.URL(url).pathname;
+                const getToken = url => request(ctx.app).get(pathOf(url)).then(res => res.body);
+                const post = (entry) => entry.parts
+                    .reduce((req, [name, value]) => req.field(name, value), request(ctx.app).post(pathOf(entry.url)))
+                    .then(res => res.body);
+
+                const result = await outbox.flush(async entry => post(await withFreshToken(entry, getToken)));
+
+                assert.equal(result.sent.length, 2);
+                assert.deepEqual(result.failed, []);
+                assert.deepEqual(result.sent.map(entry => entry.parts[0][1]), ['Loaded offline', 'Queued yesterday']);
+                assert.deepEqual(await outbox.list(), []);
+            } finally {
+                ctx.cleanup();
+            }
+        });
+    });
+});
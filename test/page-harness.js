@@ -0,0 +1,226 @@
+/**
+ * Page Harness
+ * Loads index.html and its scripts into jsdom with the browser APIs they need
+ * faked out: fetch and XMLHttpRequest answer from a table of API routes,
+ * IntersectionObserver only fires when a test says an element scrolled into
+ * view, and animation frames run when the test flushes them. IndexedDB is only
+ * there when a test passes one in (fake-indexeddb); localStorage starts with
+ * whatever the test seeds it with, and navigator.languages with what the test
+ * says the browser prefers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SCRIPTS = ['public-config.js', 'i18n.js', 'form-schema.js', 'case-study.js', 'outbox.js', 'script.js'];
+const PROJECTS = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'content', 'projects.json'), 'utf8'));
+
+// Read once - every page gets a fresh copy of the same markup and scripts
+const PAGE_HTML = fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8')
+    .replace(/<script src="[^"]*"><\/script>/g, '');
+const SCRIPT_SOURCES = SCRIPTS.map(file => fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'));
+
+// What the API answers unless a test overrides a route
+const defaultRoutes = () => ({
+    'GET /api/contact/token': { success: true, token: 'test-form-token' },
+    'GET /api/availability': { success: true, slots: [] },
+    'GET /api/projects': { success: true, ...PROJECTS },
+    'POST /api/contact': { success: true, message: 'Thank you for your message! I\'ll get back to you within 24 hours.' }
+});
+
+// A reply with its own HTTP status - body is JSON-able, or a string for an
+// HTML error page such as a proxy's 502. Plain route replies are 200, or 400
+// when they say success: false.
+const RAW_REPLY = Symbol('raw reply');
+const httpReply = (status, body) => ({ [RAW_REPLY]: true, status, body });
+
+const unwrap = (reply) => (reply && reply[RAW_REPLY]
+    ? reply
+    : { status: reply.success === false ? 400 : 200, body: reply });
+
+// A promise and the functions that settle it, for holding a request open
+const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+};
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() is truthy - for work that spans several IndexedDB round trips
+const waitFor = async (check, { timeoutMs = 2000 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the page');
+        await tick(10);
+    }
+};
+
+/**
+ * loadPage({ url, routes, indexedDB, storage, languages })
+ * routes maps "METHOD /path" to a JSON reply or an httpReply(), or to a
+ * function of the request ({ method, url, path, body, headers }) returning one (or a
+ * promise of one) - throw or reject to simulate a network failure. Pass the same indexedDB to two pages
+ * to play a second visit; storage maps localStorage keys to values saved by
+ * an earlier one; languages stands in for the browser's language settings.
+ * Returns the window, document, recorded requests and helpers; call close()
+ * when the test is done.
+ */
+const loadPage = async ({ url = 'http://localhost:8000/', routes = {}, indexedDB = null, storage = {}, languages = ['en-US', 'en'] } = {}) => {
+    const table = { ...defaultRoutes(), ...routes };
+    const requests = [];
+    const errors = [];
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    virtualConsole.on('jsdomError', (error) => errors.push(error.message));
+
+    const dom = new JSDOM(PAGE_HTML, { url, runScripts: 'outside-only', virtualConsole });
+    const { window } = dom;
+
+    // Route one request through the table
+    const answer = async (method, requestUrl, body, headers = {}) => {
+        const { pathname } = new URL(requestUrl, window.location.href);
+        const request = { method, url: requestUrl, path: pathname, body, headers };
+        requests.push(request);
+
+        const route = table[`${method} ${pathname}`];
+        if (route === undefined) {
+            throw new Error(`No test route for ${method} ${pathname}`);
+        }
+        return typeof route === 'function' ? route(request) : route;
+    };
+
+    window.fetch = async (requestUrl, options = {}) => {
+        const { status, body } = unwrap(await answer((options.method || 'GET').toUpperCase(), String(requestUrl), options.body, options.headers));
+        return {
+            ok: status < 400,
+            status,
+            json: async () => {
+                if (typeof body === 'string') throw new SyntaxError('Unexpected token < in JSON');
+                return body;
+            }
+        };
+    };
+
+    // The contact form posts with XHR for upload progress
+    class FakeXMLHttpRequest {
+        constructor() {
+            this.listeners = {};
+            this.upload = { addEventListener: () => {} };
+            this.response = null;
+            this.status = 0;
+            this.headers = {};
+        }
+
+        open(method, requestUrl) {
+            this.method = method;
+            this.url = requestUrl;
+        }
+
+        setRequestHeader(name, value) {
+            this.headers[name] = value;
+        }
+
+        addEventListener(type, listener) {
+            this.listeners[type] = listener;
+        }
+
+        send(body) {
+            answer(this.method, this.url, body, this.headers).then(
+                (reply) => {
+                    const { status, body } = unwrap(reply);
+                    // responseType 'json' gives null for a body that isn't JSON
+                    this.status = status;
+                    this.response = typeof body === 'string' ? null : body;
+                    this.listeners.load();
+                },
+                () => this.listeners.error()
+            );
+        }
+    }
+    window.XMLHttpRequest = FakeXMLHttpRequest;
+
+    // Elements only "scroll into view" when a test calls intersect()
+    const observers = [];
+    window.IntersectionObserver = class {
+        constructor(callback, options) {
+            this.callback = callback;
+            this.options = options;
+            this.targets = new Set();
+            observers.push(this);
+        }
+
+        observe(element) {
+            this.targets.add(element);
+        }
+
+        unobserve(element) {
+            this.targets.delete(element);
+        }
+
+        disconnect() {
+            this.targets.clear();
+        }
+    };
+
+    const intersect = (element) => {
+        observers.filter(observer => observer.targets.has(element)).forEach(observer => {
+            observer.callback([{ target: element, isIntersecting: true }], observer);
+        });
+    };
+
+    let frames = [];
+    window.requestAnimationFrame = (callback) => frames.push(callback);
+    const flushAnimationFrames = () => {
+        let count = 0;
+        while (frames.length) {
+            const queued = frames;
+            frames = [];
+            queued.forEach(callback => callback(count));
+            count += queued.length;
+        }
+        return count;
+    };
+
+    window.scrollTo = () => {};
+    Object.defineProperty(window.navigator, 'languages', { value: languages, configurable: true });
+    if (indexedDB) window.indexedDB = indexedDB;
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    SCRIPT_SOURCES.forEach(source => window.eval(source));
+
+    // jsdom fires DOMContentLoaded itself once the scripts are in; let the
+    // initial token, availability and projects requests settle
+    await tick();
+    await tick();
+
+    const { document } = window;
+
+    return {
+        window,
+        document,
+        requests,
+        errors,
+        intersect,
+        flushAnimationFrames,
+        click: (element) => element.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 })),
+        type: (element, value) => {
+            element.value = value;
+            element.dispatchEvent(new window.Event('input', { bubbles: true }));
+        },
+        select: (element, value) => {
+            element.value = value;
+            element.dispatchEvent(new window.Event('change', { bubbles: true }));
+        },
+        close: () => window.close()
+    };
+};
+
+module.exports = { loadPage, httpReply, deferred, tick, waitFor, PROJECTS };
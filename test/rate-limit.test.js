@@ -0,0 +1,84 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp, validSubmission } = require('./helpers');
+
+const ctx = createTestApp({ RATE_LIMIT_MAX: '2' });
+
+after(() => {
+    ctx.cleanup();
+});
+
+test('allows RATE_LIMIT_MAX contact submissions per IP, then answers 429', async () => {
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        // Different visitors behind one IP, so the repeat-submission check doesn't quarantine them
+        const res = await request(ctx.app).post('/api/contact').send(validSubmission({
+            email: `visitor${attempt}@example.com`,
+            message: `Inquiry number ${attempt} about a new website.`
+        }));
+        assert.equal(res.status, 200, `submission ${attempt} should be accepted`);
+        assert.equal(res.headers['ratelimit-limit'], '2');
+    }
+
+    const res = await request(ctx.app).post('/api/contact').send(validSubmission());
+    assert.equal(res.status, 429);
+    assert.deepEqual(res.body, {
+        success: false,
+        message: 'Too many emails sent from this IP. Please try again later.'
+    });
+    const { pending, sent } = ctx.emailQueue.stats();
+    assert.equal(pending + sent, 4);
+});
+
+test('counts rejected submissions against the limit too', async () => {
+    const other = createTestApp({ RATE_LIMIT_MAX: '1' });
+    try {
+        const invalid = await request(other.app).post('/api/contact').send(validSubmission({ name: '' }));
+        assert.equal(invalid.status, 400);
+
+        const res = await request(other.app).post('/api/contact').send(validSubmission());
+        assert.equal(res.status, 429);
+    } finally {
+        other.cleanup();
+    }
+});
+
+test('answers a multipart post in the language the page asks for', async () => {
+    const other = createTestApp({ RATE_LIMIT_MAX: '1' });
+    try {
+        // The limiter runs before the body is parsed, so the locale field isn't there yet
+        const post = () => {
+            const req = request(other.app).post('/api/contact').set('Accept-Language', 'es');
+            Object.entries(validSubmission({ locale: 'es' })).forEach(([name, value]) => req.field(name, value));
+            return req;
+        };
+        await post();
+        const res = await post();
+
+        assert.equal(res.status, 429);
+        assert.equal(res.body.message, 'Se han enviado demasiados mensajes desde esta IP. Inténtalo de nuevo más tarde.');
+    } finally {
+        other.cleanup();
+    }
+});
+
+test('answers booking attempts over the limit in the page\'s language', async () => {
+    const other = createTestApp({ BOOKING_HOLD_RATE_LIMIT_MAX: '1' });
+    try {
+        const hold = () => request(other.app).post('/api/bookings').set('Accept-Language', 'fr').send({ start: 'not-a-slot' });
+        await hold();
+        const res = await hold();
+
+        assert.equal(res.status, 429);
+        assert.equal(res.body.message, 'Trop de tentatives de réservation depuis cette adresse IP. Veuillez réessayer plus tard.');
+    } finally {
+        other.cleanup();
+    }
+});
+
+test('does not limit other endpoints', async () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+        const res = await request(ctx.app).get('/api/health');
+        assert.equal(res.status, 200);
+    }
+});
@@ -0,0 +1,213 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadPage, tick, waitFor } = require('./page-harness');
+const { createOutbox } = require('../outbox');
+
+const DRAFT_KEY = 'portfolio-contact-draft';
+const SAVE_DELAY_MS = 450;
+
+const savedDraft = (values, savedAt = new Date()) => ({
+    [DRAFT_KEY]: JSON.stringify({ values, savedAt: savedAt.toISOString() })
+});
+
+describe('contact form draft', () => {
+    let page;
+
+    afterEach(() => {
+        page.close();
+    });
+
+    const $ = (selector) => page.document.querySelector(selector);
+    const storedDraft = () => JSON.parse(page.window.localStorage.getItem(DRAFT_KEY));
+
+    test('saves the fields to localStorage once typing pauses', async () => {
+        page = await loadPage();
+        assert.ok($('.form-draft').hidden);
+
+        page.type($('#name'), 'Jane Cooper');
+        page.type($('#message'), 'A long description of the bakery ordering site');
+        page.select($('#budget'), '5k-10k');
+        page.type($('#website'), 'bot');
+        assert.equal(storedDraft(), null, 'saving waits for a pause');
+
+        await tick(SAVE_DELAY_MS);
+        assert.deepEqual(storedDraft().values, {
+            name: 'Jane Cooper',
+            budget: '5k-10k',
+            message: 'A long description of the bakery ordering site'
+        });
+        assert.ok(!$('.form-draft').hidden);
+        assert.equal($('.form-draft-text').textContent, 'Draft saved on this device.');
+    });
+
+    test('saves straight away when the visitor leaves the page', async () => {
+        page = await loadPage();
+        page.type($('#message'), 'Typed just before closing the tab');
+        page.window.dispatchEvent(new page.window.Event('pagehide'));
+
+        assert.equal(storedDraft().values.message, 'Typed just before closing the tab');
+    });
+
+    test('restores a saved draft with its labels raised', async () => {
+        page = await loadPage({ storage: savedDraft({ name: 'Jane Cooper', message: 'Half-written project brief' }) });
+
+        assert.equal($('#name').value, 'Jane Cooper');
+        assert.equal($('#message').value, 'Half-written project brief');
+        assert.equal($('#email').value, '');
+        assert.ok($('#name').parentNode.classList.contains('focused'));
+        assert.ok(!$('#email').parentNode.classList.contains('focused'));
+        assert.ok(!$('.form-draft').hidden);
+        assert.equal($('.form-draft-text').textContent, 'We kept the message you started last time.');
+    });
+
+    test('drops a draft that is more than a month old', async () => {
+        const twoMonthsAgo = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+        page = await loadPage({ storage: savedDraft({ message: 'Old draft text' }, twoMonthsAgo) });
+
+        assert.equal($('#message').value, '');
+        assert.equal(storedDraft(), null);
+        assert.ok($('.form-draft').hidden);
+    });
+
+    test('ignores a draft it cannot read', async () => {
+        page = await loadPage({ storage: { [DRAFT_KEY]: '{not json' } });
+
+        assert.equal($('#message').value, '');
+        assert.equal(page.errors.length, 0);
+    });
+
+    test('clears the draft and the fields from the clear draft control', async () => {
+        page = await loadPage({ storage: savedDraft({ name: 'Jane Cooper', message: 'Half-written project brief' }) });
+        page.click($('.form-draft-clear'));
+
+        assert.equal(storedDraft(), null);
+        assert.equal($('#name').value, '');
+        assert.equal($('#message').value, '');
+        assert.ok(!$('#message').parentNode.classList.contains('focused'));
+        assert.ok($('.form-draft').hidden);
+        // Ready to start again from the first field
+        assert.equal(page.document.activeElement, $('#name'));
+    });
+
+    test('keeps the draft when the server rejects the message', async () => {
+        const values = { name: 'Jane Cooper', email: 'jane@example.com', budget: '10k-25k', message: 'A message that fails to send' };
+        page = await loadPage({
+            storage: savedDraft(values),
+            routes: { 'POST /api/contact': { success: false, message: 'Too many emails sent from this IP. Please try again later.' } }
+        });
+        $('.btn-submit').click();
+        await tick();
+
+        assert.ok($('.form-message.error'));
+        assert.deepEqual(storedDraft().values, values);
+    });
+
+    test('keeps the draft when the server cannot be reached', async () => {
+        const values = { name: 'Jane Cooper', email: 'jane@example.com', budget: '10k-25k', message: 'A message sent while offline' };
+        page = await loadPage({
+            storage: savedDraft(values),
+            routes: {
+                'POST /api/contact': () => {
+                    throw new Error('offline');
+                }
+            }
+        });
+        $('.btn-submit').click();
+        await tick();
+
+        assert.deepEqual(storedDraft().values, values);
+    });
+
+    test('wipes the draft once the message has been sent', async () => {
+        page = await loadPage({
+            storage: savedDraft({ name: 'Jane Cooper', email: 'jane@example.com', budget: '10k-25k', message: 'A message that gets sent' })
+        });
+        $('.btn-submit').click();
+        await tick();
+
+        assert.ok($('.form-message.success'));
+        assert.equal(storedDraft(), null);
+        assert.ok($('.form-draft').hidden);
+
+        // Nothing comes back after the page is left
+        page.window.dispatchEvent(new page.window.Event('pagehide'));
+        assert.equal(storedDraft(), null);
+    });
+
+    describe('queued while offline', () => {
+        const values = { name: 'Jane Cooper', email: 'jane@example.com', budget: '10k-25k', message: 'A message queued while offline' };
+
+        // Submit the draft with the API unreachable until goOnline() is called
+        const queueDraft = async (indexedDB) => {
+            let online = false;
+            page = await loadPage({
+                indexedDB,
+                storage: savedDraft(values),
+                routes: {
+                    'POST /api/contact': () => {
+                        if (!online) throw new Error('offline');
+                        return { success: true };
+                    }
+                }
+            });
+            $('.btn-submit').click();
+            await waitFor(() => $('.form-message.queued'));
+            return () => {
+                online = true;
+            };
+        };
+
+        test('keeps the draft, marked as queued, until the outbox sends it', async () => {
+            const indexedDB = new IDBFactory();
+            const goOnline = await queueDraft(indexedDB);
+
+            const [entry] = await createOutbox(indexedDB).list();
+            assert.deepEqual(storedDraft().values, values);
+            assert.equal(storedDraft().queuedId, entry.id);
+            assert.equal($('#name').value, '', 'the form is cleared for the next message');
+            assert.ok($('.form-draft').hidden);
+
+            page.window.dispatchEvent(new page.window.Event('pagehide'));
+            assert.equal(storedDraft().queuedId, entry.id, 'leaving with an empty form keeps it');
+
+            goOnline();
+            page.window.dispatchEvent(new page.window.Event('online'));
+            await waitFor(() => $('.form-message.success'));
+            await waitFor(() => storedDraft() === null);
+        });
+
+        test('does not put it back in the form while it is still queued', async () => {
+            const indexedDB = new IDBFactory();
+            await queueDraft(indexedDB);
+            const draft = page.window.localStorage.getItem(DRAFT_KEY);
+            page.close();
+
+            page = await loadPage({
+                indexedDB,
+                storage: { [DRAFT_KEY]: draft },
+                routes: {
+                    'POST /api/contact': () => {
+                        throw new Error('offline');
+                    }
+                }
+            });
+            await waitFor(async () => (await createOutbox(indexedDB).list())[0].lockedUntil === 0);
+
+            assert.equal($('#message').value, '');
+            assert.ok($('.form-draft').hidden);
+            assert.deepEqual(storedDraft().values, values);
+        });
+
+        test('drops the draft on a later visit once the service worker has sent it', async () => {
+            const indexedDB = new IDBFactory();
+            const queued = savedDraft(values);
+            const draft = { ...JSON.parse(queued[DRAFT_KEY]), queuedId: 'sent-in-the-background' };
+
+            page = await loadPage({ indexedDB, storage: { [DRAFT_KEY]: JSON.stringify(draft) } });
+            await waitFor(() => storedDraft() === null);
+
+            assert.equal($('#message').value, '');
+        });
+    });
+});
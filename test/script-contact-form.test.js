@@ -0,0 +1,315 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadPage, httpReply, deferred, tick, waitFor } = require('./page-harness');
+const { createOutbox } = require('../outbox');
+
+describe('initFormHandling', () => {
+    let page;
+
+    afterEach(() => {
+        page.close();
+    });
+
+    const $ = (selector) => page.document.querySelector(selector);
+    const contactPosts = () => page.requests.filter(request => request.method === 'POST' && request.path === '/api/contact');
+
+    const fillForm = (values = {}) => {
+        const fields = {
+            name: 'Jane Cooper',
+            email: 'jane@example.com',
+            budget: '10k-25k',
+            message: 'We need an online ordering site for our bakery chain.',
+            ...values
+        };
+        Object.entries(fields).forEach(([name, value]) => {
+            $(`#${name}`).value = value;
+        });
+    };
+
+    const submit = () => $('.btn-submit').click();
+
+    // The button's three layers: label, icon and spinner
+    const buttonState = () => ({
+        disabled: $('.btn-submit').disabled,
+        label: $('.btn-submit span').style.opacity,
+        spinner: $('.btn-submit .btn-loading').style.opacity
+    });
+
+    test('renders the schema fields and a honeypot, and fetches a form token', async () => {
+        page = await loadPage();
+
+        ['name', 'email', 'budget', 'message'].forEach(name => assert.ok($(`#${name}`), `#${name} should be rendered`));
+        assert.equal($('#budget').options.length, 5);
+        assert.ok($('.form-honeypot #website'));
+        assert.ok(page.requests.some(request => request.path === '/api/contact/token'));
+    });
+
+    test('shows field errors without posting an invalid form', async () => {
+        page = await loadPage();
+        fillForm({ name: '', email: 'not-an-email' });
+        submit();
+        await tick();
+
+        assert.equal($('#name-error').textContent, 'Your Name is required.');
+        assert.ok($('#email-error').textContent);
+        assert.equal($('#message-error').textContent, '');
+        assert.equal($('#name').getAttribute('aria-invalid'), 'true');
+        assert.equal(page.document.activeElement, $('#name'));
+        assert.equal($('.form-message.error span').textContent, 'Please correct the highlighted fields.');
+        assert.equal(contactPosts().length, 0);
+    });
+
+    test('validates a field on blur and clears the error as it is edited', async () => {
+        page = await loadPage();
+        const email = $('#email');
+        email.value = 'jane@';
+        email.dispatchEvent(new page.window.FocusEvent('blur'));
+
+        assert.ok(email.parentNode.classList.contains('has-error'));
+        assert.ok($('#email-error').textContent);
+
+        page.type(email, 'jane@example.com');
+        assert.ok(!email.parentNode.classList.contains('has-error'));
+        assert.equal($('#email-error').textContent, '');
+    });
+
+    test('shows a loading state while sending, then the success message', async () => {
+        const reply = deferred();
+        let tokens = 0;
+        page = await loadPage({
+            routes: {
+                'GET /api/contact/token': () => ({ success: true, token: `token-${++tokens}` }),
+                'POST /api/contact': () => reply.promise
+            }
+        });
+        fillForm();
+        submit();
+        await tick();
+
+        assert.deepEqual(buttonState(), { disabled: true, label: '0', spinner: '1' });
+        const [request] = contactPosts();
+        assert.equal(request.url, 'http://localhost:3000/api/contact');
+        assert.equal(request.body.get('name'), 'Jane Cooper');
+        assert.equal(request.body.get('formToken'), 'token-1');
+        assert.equal(request.body.get('website'), '');
+
+        reply.resolve({ success: true, message: 'Thanks, Jane!' });
+        await tick();
+
+        assert.deepEqual(buttonState(), { disabled: false, label: '1', spinner: '0' });
+        assert.equal($('.form-message.success span').textContent, 'Thanks, Jane!');
+        assert.equal($('#name').value, '');
+        // A fresh token for the next message
+        assert.equal(tokens, 2);
+    });
+
+    test('shows the errors the server sends back', async () => {
+        page = await loadPage({
+            routes: {
+                'POST /api/contact': {
+                    success: false,
+                    message: 'Please correct the highlighted fields and try again.',
+                    errors: { email: 'Please enter a valid email address.' }
+                }
+            }
+        });
+        fillForm();
+        submit();
+        await tick();
+
+        assert.equal($('#email-error').textContent, 'Please enter a valid email address.');
+        assert.equal($('.form-message.error span').textContent, 'Please correct the highlighted fields and try again.');
+        assert.equal($('#name').value, 'Jane Cooper', 'the form keeps what was typed');
+        assert.equal(buttonState().disabled, false);
+    });
+
+    test('shows the server\'s message as text, not markup', async () => {
+        const message = '<img src=x onerror="alert(1)">.exe isn\'t a supported file type (PDF).';
+        page = await loadPage({ routes: { 'POST /api/contact': { success: false, message } } });
+        fillForm();
+        submit();
+        await tick();
+
+        assert.equal($('.form-message.error span').textContent, message);
+        assert.equal($('.form-message img'), null);
+    });
+
+    test('tells the visitor when the server cannot be reached', async () => {
+        page = await loadPage({
+            routes: {
+                'POST /api/contact': () => {
+                    throw new Error('offline');
+                }
+            }
+        });
+        fillForm();
+        submit();
+        await tick();
+
+        assert.match($('.form-message.error span').textContent, /^Unable to connect to server\./);
+        assert.deepEqual(buttonState(), { disabled: false, label: '1', spinner: '0' });
+        assert.ok(page.errors.some(error => error.includes('Form submission error')));
+    });
+
+    test('replaces the previous message instead of stacking them', async () => {
+        page = await loadPage();
+        submit();
+        await tick();
+        fillForm();
+        submit();
+        await tick();
+
+        assert.equal(page.document.querySelectorAll('.form-message').length, 1);
+        assert.ok($('.form-message.success'));
+    });
+
+    describe('offline outbox', () => {
+        const offline = () => {
+            throw new Error('offline');
+        };
+
+        test('saves the inquiry on the device when the server cannot be reached', async () => {
+            const indexedDB = new IDBFactory();
+            page = await loadPage({ indexedDB, routes: { 'POST /api/contact': offline } });
+            fillForm();
+            submit();
+            await waitFor(() => $('.form-message'));
+
+            assert.match($('.form-message.queued span').textContent, /saved on this device/);
+            assert.equal($('#name').value, '', 'the form is cleared for the next message');
+
+            const [entry] = await createOutbox(indexedDB).list();
+            assert.equal(entry.url, 'http://localhost:3000/api/contact');
+            assert.deepEqual(entry.parts.slice(0, 4), [
+                ['name', 'Jane Cooper'],
+                ['email', 'jane@example.com'],
+                ['budget', '10k-25k'],
+                ['message', 'We need an online ordering site for our bakery chain.']
+            ]);
+            assert.deepEqual(entry.parts.find(([name]) => name === 'formToken'), ['formToken', 'test-form-token']);
+        });
+
+        test('sends saved inquiries on the next visit', async () => {
+            const indexedDB = new IDBFactory();
+            await createOutbox(indexedDB).add({
+                url: 'http://localhost:3000/api/contact',
+                parts: [['name', 'Jane Cooper'], ['email', 'jane@example.com'], ['formToken', 'earlier-token']]
+            });
+
+            page = await loadPage({ indexedDB });
+            await waitFor(() => $('.form-message'));
+
+            const [request] = contactPosts();
+            assert.equal(request.body.get('formToken'), 'test-form-token', 'sent with a fresh token, not the one it was queued with');
+            assert.match($('.form-message.success span').textContent, /saved while offline has been sent/);
+            assert.deepEqual(await createOutbox(indexedDB).list(), []);
+        });
+
+        test('sends saved inquiries when the connection comes back', async () => {
+            const indexedDB = new IDBFactory();
+            let online = false;
+            page = await loadPage({
+                indexedDB,
+                routes: {
+                    'POST /api/contact': () => (online ? { success: true } : offline())
+                }
+            });
+            fillForm();
+            submit();
+            await waitFor(() => $('.form-message.queued'));
+
+            online = true;
+            page.window.dispatchEvent(new page.window.Event('online'));
+            await waitFor(() => $('.form-message.success'));
+
+            assert.equal(contactPosts().length, 2);
+            assert.deepEqual(await createOutbox(indexedDB).list(), []);
+        });
+
+        test('puts an inquiry the server rejects back into the form', async () => {
+            const indexedDB = new IDBFactory();
+            await createOutbox(indexedDB).add({
+                url: 'http://localhost:3000/api/contact',
+                parts: [['name', 'Jane Cooper'], ['email', 'jane@example'], ['budget', '10k-25k'], ['message', 'Offline message'], ['formToken', '']]
+            });
+
+            page = await loadPage({
+                indexedDB,
+                routes: {
+                    'POST /api/contact': {
+                        success: false,
+                        message: 'Please correct the highlighted fields and try again.',
+                        errors: { email: 'Please enter a valid email address.' }
+                    }
+                }
+            });
+            await waitFor(() => $('.form-message'));
+
+            assert.equal($('#name').value, 'Jane Cooper');
+            assert.equal($('#message').value, 'Offline message');
+            assert.equal($('#email-error').textContent, 'Please enter a valid email address.');
+            assert.match($('.form-message.error span').textContent, /^The message you saved while offline couldn't be sent/);
+            assert.deepEqual(await createOutbox(indexedDB).list(), []);
+        });
+
+        test('queues the inquiry when a proxy answers with an error page', async () => {
+            const indexedDB = new IDBFactory();
+            page = await loadPage({ indexedDB, routes: { 'POST /api/contact': httpReply(502, '<html>Bad Gateway</html>') } });
+            fillForm();
+            submit();
+            await waitFor(() => $('.form-message'));
+
+            assert.ok($('.form-message.queued'));
+            assert.equal((await createOutbox(indexedDB).list()).length, 1);
+        });
+
+        test('shows the API\'s reason for a server error rather than queueing', async () => {
+            const indexedDB = new IDBFactory();
+            page = await loadPage({
+                indexedDB,
+                routes: { 'POST /api/contact': httpReply(500, { success: false, message: 'Email service temporarily unavailable.' }) }
+            });
+            fillForm();
+            submit();
+            await waitFor(() => $('.form-message'));
+
+            assert.equal($('.form-message.error span').textContent, 'Email service temporarily unavailable.');
+            assert.equal($('#name').value, 'Jane Cooper');
+            assert.deepEqual(await createOutbox(indexedDB).list(), []);
+        });
+
+        [
+            ['an error page', httpReply(503, '<html>Service Unavailable</html>')],
+            ['a server error', httpReply(500, { success: false, message: 'Internal server error' })]
+        ].forEach(([what, reply]) => {
+            test(`keeps a saved inquiry pending when the server answers with ${what}`, async () => {
+                const indexedDB = new IDBFactory();
+                await createOutbox(indexedDB).add({
+                    url: 'http://localhost:3000/api/contact',
+                    parts: [['name', 'Jane Cooper'], ['email', 'jane@example.com'], ['formToken', '']]
+                });
+
+                page = await loadPage({ indexedDB, routes: { 'POST /api/contact': reply } });
+                await waitFor(() => contactPosts().length === 1);
+                await waitFor(async () => (await createOutbox(indexedDB).list())[0].lockedUntil === 0);
+
+                const [entry] = await createOutbox(indexedDB).list();
+                assert.equal(entry.status, 'pending');
+                assert.equal(entry.attempts, 1);
+                assert.equal($('.form-message'), null);
+                assert.equal($('#name').value, '');
+            });
+        });
+
+        test('falls back to the error message without IndexedDB', async () => {
+            page = await loadPage({ routes: { 'POST /api/contact': offline } });
+            fillForm();
+            submit();
+            await tick();
+
+            assert.ok($('.form-message.error'));
+            assert.equal($('#name').value, 'Jane Cooper');
+        });
+    });
+});
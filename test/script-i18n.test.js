@@ -0,0 +1,102 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, tick, PROJECTS } = require('./page-harness');
+
+const LOCALE_KEY = 'portfolio-locale';
+
+describe('initLanguage', () => {
+    let page;
+
+    afterEach(() => {
+        page.close();
+    });
+
+    const $ = (selector) => page.document.querySelector(selector);
+    const text = (selector) => $(selector).textContent.trim();
+
+    test('starts in English for an English browser', async () => {
+        page = await loadPage();
+
+        assert.equal(page.document.documentElement.lang, 'en');
+        assert.equal($('#language-select').value, 'en');
+        assert.deepEqual([...$('#language-select').options].map(option => option.value), ['en', 'es', 'fr']);
+        assert.equal(text('.nav-link'), 'Home');
+        assert.equal(text('label[for="name"]'), 'Your Name');
+    });
+
+    test('follows the browser\'s preferred languages', async () => {
+        page = await loadPage({ languages: ['de-DE', 'fr-CA', 'en'] });
+
+        assert.equal(page.document.documentElement.lang, 'fr');
+        assert.equal($('#language-select').value, 'fr');
+        assert.equal(page.document.title, 'Abhishek Goel - Développeur web freelance | États-Unis et Canada');
+        assert.equal(text('.nav-link'), 'Accueil');
+        assert.equal(text('.hero-subtitle strong'), 'Plus de 3 ans chez Fynd (Reliance)');
+        assert.equal(text('.filter-btn'), 'Tous les projets');
+        assert.equal(text('label[for="budget"]'), 'Budget du projet (USD)');
+        assert.equal($('#budget').options[1].textContent, 'Moins de 5 000 $');
+    });
+
+    test('prefers the language picked on an earlier visit', async () => {
+        page = await loadPage({ languages: ['fr'], storage: { [LOCALE_KEY]: 'es' } });
+
+        assert.equal($('#language-select').value, 'es');
+        assert.equal(text('.nav-link'), 'Inicio');
+        assert.equal(text('.btn-submit span'), 'Enviar mensaje');
+    });
+
+    test('switches the page in place and remembers the choice', async () => {
+        page = await loadPage();
+        page.select($('#language-select'), 'es');
+
+        assert.equal(page.window.localStorage.getItem(LOCALE_KEY), 'es');
+        assert.equal(page.document.documentElement.lang, 'es');
+        assert.equal(page.document.title, 'Abhishek Goel - Desarrollador web freelance | EE. UU. y Canadá');
+        assert.equal(text('.section-title'), 'Sobre mí');
+        assert.equal($('.portfolio-search input').placeholder, 'Buscar proyectos...');
+        assert.equal(text('.portfolio-count'), `Mostrando los ${PROJECTS.projects.length} proyectos`);
+        assert.equal(text('label[for="message"]'), 'Cuéntame sobre tu proyecto');
+        assert.equal(text('.form-draft-clear'), 'Borrar borrador');
+
+        page.select($('#language-select'), 'en');
+        assert.equal(text('.section-title'), 'About Me');
+        assert.equal(text('.portfolio-count'), `Showing all ${PROJECTS.projects.length} projects`);
+    });
+
+    test('validates in the visitor\'s language and sends it with the inquiry', async () => {
+        page = await loadPage({ storage: { [LOCALE_KEY]: 'fr' } });
+        $('.btn-submit').click();
+        await tick();
+
+        assert.equal(text('#name-error'), 'Le champ « Votre nom » est obligatoire.');
+        assert.equal(text('.form-message.error span'), 'Veuillez corriger les champs signalés.');
+
+        $('#name').value = 'Jeanne Martin';
+        $('#email').value = 'jeanne@example.com';
+        $('#budget').value = '5k-10k';
+        $('#message').value = 'Nous avons besoin d\'un site de commande en ligne.';
+        $('.btn-submit').click();
+        await tick();
+
+        const post = page.requests.find(request => request.method === 'POST' && request.path === '/api/contact');
+        assert.equal(post.body.get('locale'), 'fr');
+        // For replies the server sends before it has read the body
+        assert.equal(post.headers['Accept-Language'], 'fr');
+    });
+
+    test('shows a case study in the visitor\'s language and re-renders it on a switch', async () => {
+        page = await loadPage({ url: 'http://localhost:8000/work/farmer-portal', storage: { [LOCALE_KEY]: 'es' } });
+
+        assert.ok(page.document.body.classList.contains('case-study-open'));
+        assert.equal(page.document.title, 'Farmer Portal - Caso de estudio | Abhishek Goel');
+        assert.equal(text('.case-study-back'), 'Todos los proyectos');
+        assert.equal(text('.case-study-main h2'), 'El problema');
+
+        page.select($('#language-select'), 'fr');
+        await tick();
+
+        assert.equal(page.document.title, 'Farmer Portal - Étude de cas | Abhishek Goel');
+        assert.equal(text('.case-study-aside h3'), 'Technologies');
+        assert.equal(text('.case-study-aside .btn-primary span'), 'Lancer un projet similaire');
+    });
+});
@@ -0,0 +1,111 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./page-harness');
+
+describe('initNavigation', () => {
+    let page;
+    let hamburger;
+    let navMenu;
+
+    beforeEach(async () => {
+        page = await loadPage();
+        hamburger = page.document.querySelector('.hamburger');
+        navMenu = page.document.querySelector('.nav-menu');
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    const isOpen = () => {
+        const states = [
+            hamburger.classList.contains('active'),
+            navMenu.classList.contains('active'),
+            page.document.body.classList.contains('nav-open')
+        ];
+        assert.ok(states.every(state => state === states[0]), 'hamburger, menu and body should agree');
+        return states[0];
+    };
+
+    test('toggles the mobile menu from the hamburger', () => {
+        assert.equal(isOpen(), false);
+
+        page.click(hamburger);
+        assert.equal(isOpen(), true);
+
+        page.click(hamburger);
+        assert.equal(isOpen(), false);
+    });
+
+    test('closes the menu when a nav link is followed', () => {
+        page.click(hamburger);
+        page.click(page.document.querySelector('.nav-link'));
+
+        assert.equal(isOpen(), false);
+    });
+
+    test('closes the menu on a click outside the navbar', () => {
+        page.click(hamburger);
+        page.click(page.document.querySelector('.hero'));
+
+        assert.equal(isOpen(), false);
+    });
+
+    test('keeps the menu open for clicks inside the navbar', () => {
+        page.click(hamburger);
+        page.click(page.document.querySelector('.nav-container'));
+
+        assert.equal(isOpen(), true);
+    });
+
+    test('marks the navbar once the page has scrolled', () => {
+        const navbar = page.document.querySelector('.navbar');
+        const scrollTo = (y) => {
+            page.window.scrollY = y;
+            page.window.dispatchEvent(new page.window.Event('scroll'));
+        };
+
+        scrollTo(150);
+        assert.ok(navbar.classList.contains('scrolled'));
+
+        scrollTo(0);
+        assert.ok(!navbar.classList.contains('scrolled'));
+    });
+});
+
+describe('initCounterAnimation', () => {
+    let page;
+
+    beforeEach(async () => {
+        page = await loadPage();
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    test('counts each stat up to its target once it scrolls into view', () => {
+        const counters = [...page.document.querySelectorAll('[data-count]')];
+        assert.ok(counters.length > 0);
+        counters.forEach(counter => assert.equal(counter.textContent, '0'));
+
+        const [first, ...rest] = counters;
+        page.intersect(first);
+        const frames = page.flushAnimationFrames();
+
+        assert.ok(frames > 1, 'the count should animate over several frames');
+        assert.equal(first.textContent, first.dataset.count);
+        rest.forEach(counter => assert.equal(counter.textContent, '0'));
+    });
+
+    test('only animates a stat the first time it appears', () => {
+        const counter = page.document.querySelector('[data-count]');
+        page.intersect(counter);
+        page.flushAnimationFrames();
+
+        counter.textContent = 'seen';
+        page.intersect(counter);
+        assert.equal(page.flushAnimationFrames(), 0);
+        assert.equal(counter.textContent, 'seen');
+    });
+});
@@ -0,0 +1,117 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, tick, PROJECTS } = require('./page-harness');
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+describe('initPortfolioFilter', () => {
+    let page;
+
+    afterEach(() => {
+        page.close();
+    });
+
+    const $ = (selector) => page.document.querySelector(selector);
+
+    // Slugs of the visible cards, in grid order
+    const visible = () => [...page.document.querySelectorAll('.portfolio-grid .portfolio-item')]
+        .filter(item => item.style.display !== 'none')
+        .map(item => item.dataset.slug);
+
+    const slugsWhere = (predicate) => PROJECTS.projects.filter(predicate).map(project => project.slug);
+    const count = () => $('.portfolio-count').textContent;
+
+    test('renders every project with the category buttons and tag chips', async () => {
+        page = await loadPage();
+
+        assert.equal(visible().length, PROJECTS.projects.length);
+        assert.equal(count(), `Showing all ${PROJECTS.projects.length} projects`);
+        assert.equal($('.filter-btn[data-filter="all"]').getAttribute('aria-pressed'), 'true');
+        assert.ok($('.tag-btn[data-tag="sms-integration"]'));
+        assert.ok($('.portfolio-clear').hidden);
+        // Featured projects lead the default sort
+        assert.equal(visible()[0], slugsWhere(project => project.featured)[0]);
+    });
+
+    test('filters by category and records it in the query string', async () => {
+        page = await loadPage();
+        page.click($('.filter-btn[data-filter="webapp"]'));
+
+        assert.deepEqual(visible().sort(), slugsWhere(project => project.category === 'webapp').sort());
+        assert.equal($('.filter-btn[data-filter="webapp"]').getAttribute('aria-pressed'), 'true');
+        assert.equal($('.filter-btn[data-filter="all"]').getAttribute('aria-pressed'), 'false');
+        assert.equal(page.window.location.search, '?category=webapp');
+        assert.ok(!$('.portfolio-clear').hidden);
+    });
+
+    test('combines tags with any or all', async () => {
+        page = await loadPage();
+        page.click($('.tag-btn[data-tag="real-time"]'));
+        page.click($('.tag-btn[data-tag="chat"]'));
+
+        const tagged = (tag) => (project) => project.tags.includes(tag);
+        const either = slugsWhere(project => tagged('Real-time')(project) || tagged('Chat')(project));
+        assert.deepEqual(visible().sort(), either.sort());
+
+        page.select($('.portfolio-match'), 'all');
+        assert.deepEqual(visible(), slugsWhere(project => tagged('Real-time')(project) && tagged('Chat')(project)));
+        assert.equal(page.window.location.search, '?tags=real-time,chat&match=all');
+
+        // Clicking a chip again drops it
+        page.click($('.tag-btn[data-tag="chat"]'));
+        assert.equal($('.tag-btn[data-tag="chat"]').getAttribute('aria-pressed'), 'false');
+        assert.deepEqual(visible().sort(), slugsWhere(tagged('Real-time')).sort());
+    });
+
+    test('searches card text once typing pauses', async () => {
+        page = await loadPage();
+        page.type($('.portfolio-search input'), 'portal');
+
+        assert.equal(visible().length, PROJECTS.projects.length, 'search waits for the debounce');
+        await tick(SEARCH_DEBOUNCE_MS);
+
+        assert.deepEqual(visible().sort(), ['farmer-portal', 'property-portal']);
+        assert.equal(count(), `Showing 2 of ${PROJECTS.projects.length} projects`);
+        assert.equal(page.window.location.search, '?q=portal');
+    });
+
+    test('shows a message when nothing matches, and clears back to everything', async () => {
+        page = await loadPage();
+        page.type($('.portfolio-search input'), 'no such project');
+        await tick(SEARCH_DEBOUNCE_MS);
+
+        assert.deepEqual(visible(), []);
+        assert.equal($('.portfolio-empty').textContent, 'No projects match those filters.');
+
+        page.click($('.portfolio-clear'));
+        assert.equal(visible().length, PROJECTS.projects.length);
+        assert.equal($('.portfolio-empty'), null);
+        assert.equal($('.portfolio-search input').value, '');
+        assert.equal(page.window.location.search, '');
+    });
+
+    test('sorts by title', async () => {
+        page = await loadPage();
+        page.select($('.portfolio-sort'), 'title-desc');
+
+        const titles = PROJECTS.projects.slice().sort((a, b) => b.title.localeCompare(a.title)).map(project => project.slug);
+        assert.deepEqual(visible(), titles);
+        assert.equal(page.window.location.search, '?sort=title-desc');
+    });
+
+    test('restores a shared link and ignores values it does not know', async () => {
+        page = await loadPage({ url: 'http://localhost:8000/?category=ecommerce&tags=sms-integration,bogus&sort=random#portfolio' });
+
+        assert.deepEqual(visible(), ['farmer-portal']);
+        assert.equal($('.tag-btn[data-tag="sms-integration"]').getAttribute('aria-pressed'), 'true');
+        assert.equal($('.portfolio-sort').value, 'featured');
+        assert.equal(page.window.location.hash, '#portfolio');
+    });
+
+    test('reports projects that could not be loaded', async () => {
+        page = await loadPage({ routes: { 'GET /api/projects': { success: false } } });
+
+        assert.match($('.portfolio-grid').textContent, /Projects couldn't be loaded right now/);
+        assert.equal($('.filter-btn'), null);
+    });
+});
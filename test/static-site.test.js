@@ -0,0 +1,40 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+describe('serving the built frontend', () => {
+    let ctx;
+    let buildDir;
+
+    beforeEach(() => {
+        buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-build-'));
+        fs.writeFileSync(path.join(buildDir, 'index.html'), '<!DOCTYPE html><title>Home</title>');
+        ctx = createTestApp({ SERVE_FRONTEND: 'true', FRONTEND_DIR: buildDir });
+    });
+
+    afterEach(() => {
+        ctx.cleanup();
+        fs.rmSync(buildDir, { recursive: true, force: true });
+    });
+
+    test('serves index.html for page routes', async () => {
+        const res = await request(ctx.app).get('/about').set('Accept', 'text/html');
+
+        assert.equal(res.status, 200);
+        assert.match(res.text, /<title>Home<\/title>/);
+    });
+
+    test('answers a failing page route with the API\'s JSON error', async () => {
+        // Gone after startup - sendFile hands the error on
+        fs.rmSync(path.join(buildDir, 'index.html'));
+        const res = await request(ctx.app).get('/about').set('Accept', 'text/html');
+
+        assert.equal(res.status, 500);
+        assert.match(res.headers['content-type'], /application\/json/);
+        assert.deepEqual(res.body, { success: false, message: 'Internal server error' });
+    });
+});